@@ -24,6 +24,30 @@ import {Socket} from "phoenix"
 import {LiveSocket} from "phoenix_live_view"
 import {hooks as colocatedHooks} from "phoenix-colocated/todo_lister"
 import topbar from "../vendor/topbar"
+import qrcode from "../vendor/qrcode"
+
+// Strings app.js shows come translated from the server's locale, see
+// TodoListerWeb.Locale. Missing ones fall back to the English msgid
+const CLIENT_MESSAGES = readClientMessages()
+
+function readClientMessages() {
+  try {
+    return JSON.parse(document.getElementById('client-messages')?.textContent || '{}')
+  } catch (_err) {
+    return {}
+  }
+}
+
+function t(msgid, bindings = {}) {
+  return (CLIENT_MESSAGES[msgid] || msgid).replace(/%\{(\w+)\}/g, (placeholder, key) =>
+    key in bindings ? bindings[key] : placeholder
+  )
+}
+
+// Plurals are a msgid per form, the singular one is used for a count of one
+function tn(singular, plural, count, bindings = {}) {
+  return t(count === 1 ? singular : plural, {count: count, ...bindings})
+}
 
 // Generate or retrieve client ID from localStorage
 function getOrCreateClientId() {
@@ -43,12 +67,631 @@ function getOrCreateClientId() {
 // Make client ID available globally
 window.clientId = getOrCreateClientId()
 
+// The name other viewers of a list see in the presence bar, stored next to the
+// client ID. The server falls back to a guest name while it is empty
+const DISPLAY_NAME_KEY = 'todo_display_name'
+
+function readDisplayName() {
+  return localStorage.getItem(DISPLAY_NAME_KEY) || ''
+}
+
+// Lists opened in this browser, most recent first, so the landing page can
+// offer lists this client only viewed and never changed
+const VISITED_LISTS_KEY = 'todo_visited_lists'
+const VISITED_LISTS_LIMIT = 20
+
+function readVisitedLists() {
+  try {
+    return JSON.parse(localStorage.getItem(VISITED_LISTS_KEY)) || []
+  } catch (_err) {
+    return []
+  }
+}
+
+function rememberVisitedList() {
+  const match = window.location.pathname.match(/^\/tl\/([^/]+)$/)
+  if (!match) return
+  
+  const id = match[1]
+  const visited = readVisitedLists().filter(list => list.id !== id)
+  visited.unshift({id: id, url: window.location.pathname, visited_at: Date.now()})
+  localStorage.setItem(VISITED_LISTS_KEY, JSON.stringify(visited.slice(0, VISITED_LISTS_LIMIT)))
+}
+
+// Focus mode alert preferences, stored next to the client ID. Notifications
+// are opt-in since they need the browser's permission
+const FOCUS_PREFERENCES_KEY = 'todo_focus_preferences'
+const DEFAULT_FOCUS_PREFERENCES = {notifications: false, sound: true, titleCountdown: true}
+
+function readFocusPreferences() {
+  try {
+    return {...DEFAULT_FOCUS_PREFERENCES, ...JSON.parse(localStorage.getItem(FOCUS_PREFERENCES_KEY))}
+  } catch (_err) {
+    return {...DEFAULT_FOCUS_PREFERENCES}
+  }
+}
+
+function writeFocusPreferences(preferences) {
+  localStorage.setItem(FOCUS_PREFERENCES_KEY, JSON.stringify(preferences))
+}
+
+let audioContext = null
+
+// A short two-note chime, synthesized so there is no audio file to load
+function playChime() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+  
+  audioContext = audioContext || new AudioContext()
+  if (audioContext.state === 'suspended') audioContext.resume()
+  
+  const start = audioContext.currentTime
+  ;[880, 660].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator()
+    const gain = audioContext.createGain()
+    const noteStart = start + i * 0.18
+    
+    oscillator.type = 'sine'
+    oscillator.frequency.value = frequency
+    gain.gain.setValueAtTime(0.0001, noteStart)
+    gain.gain.exponentialRampToValueAtTime(0.25, noteStart + 0.02)
+    gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + 0.6)
+    
+    oscillator.connect(gain).connect(audioContext.destination)
+    oscillator.start(noteStart)
+    oscillator.stop(noteStart + 0.6)
+  })
+}
+
+// Chimes and, when the tab is in the background, shows a system notification
+// for a focus timer event, as far as the user opted in
+function alertFocusEvent(title, itemId) {
+  const preferences = readFocusPreferences()
+  if (preferences.sound) playChime()
+  
+  if (!preferences.notifications || !("Notification" in window)) return
+  if (Notification.permission !== 'granted' || document.hasFocus()) return
+  
+  const row = itemId && document.querySelector(`[data-item-id="${itemId}"]`)
+  const notification = new Notification(title, {
+    body: row ? row.dataset.itemText : document.title,
+    tag: `todo-focus-${window.clientId}`
+  })
+  notification.onclick = () => {
+    window.focus()
+    notification.close()
+  }
+}
+
+// Scores how well a query fuzzy-matches a text: every query character must
+// appear in order. Consecutive characters and word starts score higher,
+// null means no match
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase()
+  const t = (text || '').toLowerCase()
+  let score = 0
+  let position = 0
+  let previous = -2
+  
+  for (const char of q) {
+    const index = t.indexOf(char, position)
+    if (index === -1) return null
+    
+    score += 1
+    if (index === previous + 1) score += 3
+    if (index === 0 || /[\s\-_/]/.test(t[index - 1])) score += 2
+    
+    previous = index
+    position = index + 1
+  }
+  
+  // Prefer shorter texts among equally good matches
+  return score - t.length * 0.01
+}
+
+// Events that are queued while the LiveSocket is disconnected and replayed,
+// in order, once the view has rejoined
+const OFFLINE_EVENTS = ["add_item", "toggle_status", "save_item"]
+
+function offlineQueueKey(listId) {
+  return `todo_offline_queue:${listId}:${window.clientId}`
+}
+
+function readOfflineQueue(listId) {
+  try {
+    return JSON.parse(localStorage.getItem(offlineQueueKey(listId))) || []
+  } catch (_err) {
+    return []
+  }
+}
+
+function writeOfflineQueue(listId, queue) {
+  if (queue.length === 0) {
+    localStorage.removeItem(offlineQueueKey(listId))
+  } else {
+    localStorage.setItem(offlineQueueKey(listId), JSON.stringify(queue))
+  }
+}
+
+// A line of pasted or imported text as a task. Markdown bullets and numbers
+// are dropped and "- [x]" / "- [-]" checkboxes set the status
+const TASK_CHECKBOX = /^(?:[-*+]\s+)?\[([ xX-])\]\s+(.*)$/
+const TASK_BULLET = /^(?:[-*+•]|\d+[.)])\s+(.*)$/
+const CHECKBOX_STATUSES = {" ": "todo", "x": "done", "X": "done", "-": "wont_do"}
+const TASK_STATUS_SYMBOLS = {todo: "☐", done: "☑", wont_do: "☒"}
+
+function parseTaskLine(line) {
+  const checkbox = line.match(TASK_CHECKBOX)
+  if (checkbox) {
+    return {text: checkbox[2].trim(), status: CHECKBOX_STATUSES[checkbox[1]], marked: true}
+  }
+  
+  const bullet = line.match(TASK_BULLET)
+  if (bullet) return {text: bullet[1].trim(), status: "todo", marked: true}
+  
+  return {text: line, status: "todo", marked: false}
+}
+
+function taskCount(count) {
+  return tn("%{count} task", "%{count} tasks", count)
+}
+
+function toTaskItems(parsed) {
+  return parsed
+    .filter(item => item.text !== "")
+    .map(({text, status}) => ({text: text.slice(0, 500), status}))
+}
+
+// Splits pasted text into tasks, one per line. Returns null for a single
+// plain line so it's pasted as usual
+function parsePastedItems(text) {
+  const parsed = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== "")
+    .map(parseTaskLine)
+  
+  if (parsed.length === 0 || (parsed.length === 1 && !parsed[0].marked)) return null
+  return toTaskItems(parsed)
+}
+
+// Files imported on the landing page are parsed here into {title, items, format}.
+// Errors carry a message meant for the user
+const IMPORT_LIMIT = 1000
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024
+
+function parseImportFile(name, text) {
+  const baseName = name.replace(/\.[^.]+$/, "")
+  const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : ""
+  text = text.replace(/^\uFEFF/, "")
+  
+  if (extension === "json") return parseJsonImport(text, baseName)
+  if (extension === "csv") return parseCsvImport(text, baseName)
+  return parseTextImport(text, baseName)
+}
+
+// Markdown checklists and plain text, one task per line. The first heading
+// becomes the title, other headings are skipped
+function parseTextImport(text, baseName) {
+  let title = null
+  const parsed = []
+  
+  text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/)
+    if (heading) {
+      title = title || heading[1].trim()
+    } else if (line !== "") {
+      parsed.push(parseTaskLine(line))
+    }
+  })
+  
+  const format = title || parsed.some(item => item.marked) ? "Markdown" : t("Plain text")
+  return {title: title || baseName, items: toTaskItems(parsed), format: format}
+}
+
+// Todoist CSV exports, and the CSV export of Todo Lister itself
+function parseCsvImport(text, baseName) {
+  const [header, ...rows] = parseCsv(text)
+  const columns = (header || []).map(column => column.trim().toLowerCase())
+  const type = columns.indexOf("type")
+  const content = columns.indexOf("content")
+  const taskText = columns.indexOf("text")
+  const status = columns.indexOf("status")
+  
+  if (type !== -1 && content !== -1) {
+    const items = rows
+      .filter(row => row[type] === "task")
+      .map(row => ({text: (row[content] || "").trim(), status: "todo"}))
+    return {title: baseName, items: toTaskItems(items), format: "Todoist CSV"}
+  }
+  
+  if (taskText !== -1) {
+    const items = rows.map(row => ({
+      text: (row[taskText] || "").trim(),
+      status: ["todo", "done", "wont_do"].includes(row[status]) ? row[status] : "todo"
+    }))
+    return {title: baseName, items: toTaskItems(items), format: "CSV"}
+  }
+  
+  throw new Error(t("This CSV file doesn't look like a Todoist export."))
+}
+
+// Fields may be quoted, with quotes inside doubled, as in RFC 4180
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(row => row.some(value => value.trim() !== ""))
+}
+
+// Trello board exports, and the JSON export of Todo Lister itself
+function parseJsonImport(text, baseName) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (_err) {
+    throw new Error(t("This file is not valid JSON."))
+  }
+  
+  if (data && Array.isArray(data.cards) && Array.isArray(data.lists)) {
+    // Open cards of open lists, in board order. Cards in a "Done" list or
+    // with a completed due date count as done
+    const lists = new Map(data.lists.filter(list => !list.closed).map(list => [list.id, list]))
+    const items = data.cards
+      .filter(card => !card.closed && lists.has(card.idList))
+      .sort((a, b) => (lists.get(a.idList).pos - lists.get(b.idList).pos) || (a.pos - b.pos))
+      .map(card => {
+        const listName = (lists.get(card.idList).name || "").trim()
+        const done = card.dueComplete || /^done$/i.test(listName)
+        return {text: (card.name || "").trim(), status: done ? "done" : "todo"}
+      })
+    return {title: data.name || baseName, items: toTaskItems(items), format: "Trello board"}
+  }
+  
+  if (data && Array.isArray(data.items)) {
+    const items = [...data.items]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(item => ({
+        text: String(item.text || "").trim(),
+        status: ["todo", "done", "wont_do"].includes(item.status) ? item.status : "todo"
+      }))
+    return {title: data.title || baseName, items: toTaskItems(items), format: "Todo Lister JSON"}
+  }
+  
+  throw new Error(t("This JSON file doesn't look like a Trello board export."))
+}
+
+// Lets hooks reuse another button's behaviour, server event included
+function clickById(id) {
+  document.getElementById(id)?.click()
+}
+
+// A color of the active daisyUI theme, for styles set from script
+function themeColor(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(`--color-${name}`).trim()
+}
+
 const Hooks = {
+  OfflineQueue: {
+    mounted() {
+      this.listId = this.el.dataset.listId
+      this.connected = true
+      this.replaying = false
+
+      // Capture phase so we see the events before LiveView drops them
+      this.onClick = (e) => this.captureClick(e)
+      this.onSubmit = (e) => this.captureSubmit(e)
+      this.onFocusOut = (e) => this.captureBlur(e)
+      window.addEventListener("click", this.onClick, true)
+      window.addEventListener("submit", this.onSubmit, true)
+      window.addEventListener("focusout", this.onFocusOut, true)
+
+      // Changes left over from a previous visit are sent straight away
+      this.replay()
+    },
+
+    destroyed() {
+      window.removeEventListener("click", this.onClick, true)
+      window.removeEventListener("submit", this.onSubmit, true)
+      window.removeEventListener("focusout", this.onFocusOut, true)
+    },
+
+    disconnected() {
+      this.connected = false
+      this.replaying = false
+    },
+
+    reconnected() {
+      this.connected = true
+      this.replay()
+    },
+
+    captureClick(e) {
+      if (this.connected) return
+      const target = e.target.closest("[phx-click]")
+      if (!target) return
+
+      const event = target.getAttribute("phx-click")
+      if (!OFFLINE_EVENTS.includes(event)) return
+
+      e.preventDefault()
+      e.stopImmediatePropagation()
+
+      if (event === "add_item") {
+        this.showDraftItem()
+      } else {
+        // The status the click sets is queued, not the toggle itself
+        const id = target.getAttribute("phx-value-id")
+        this.enqueue(event, {id: id, status: target.getAttribute("phx-value-status")})
+        this.markPending(target)
+      }
+    },
+
+    captureSubmit(e) {
+      if (this.connected) return
+      const form = e.target
+      if (form.getAttribute("phx-submit") !== "save_item") return
+
+      e.preventDefault()
+      e.stopImmediatePropagation()
+
+      const input = form.querySelector("input[name='text']")
+      this.enqueueSave(form.getAttribute("phx-value-id"), input ? input.value : "")
+      this.markPending(form)
+    },
+
+    captureBlur(e) {
+      if (this.connected) return
+      const input = e.target
+      if (!input.getAttribute || input.getAttribute("phx-blur") !== "save_item") return
+
+      e.stopImmediatePropagation()
+      this.enqueueSave(input.getAttribute("phx-value-id"), input.value)
+      this.markPending(input)
+    },
+
+    enqueueSave(id, text) {
+      // A submit is followed by a blur of the same input, only keep one of them
+      const queue = readOfflineQueue(this.listId)
+      const last = queue[queue.length - 1]
+      if (last && last.event === "save_item" && last.payload.id === id && last.payload.text === text) {
+        return
+      }
+      this.enqueue("save_item", {id: id, text: text})
+    },
+
+    enqueue(event, payload) {
+      const queue = readOfflineQueue(this.listId)
+      queue.push({event: event, payload: payload, client_id: window.clientId, queued_at: Date.now()})
+      writeOfflineQueue(this.listId, queue)
+      this.renderBadge()
+    },
+
+    markPending(el) {
+      const row = el.closest("[data-item-id]")
+      if (row) row.classList.add("opacity-60")
+    },
+
+    // The server cannot create the placeholder item while we are offline, so
+    // collect the text locally and queue add_item with it
+    showDraftItem() {
+      const container = document.getElementById("todo-items-container")
+      if (!container) return
+
+      const row = document.createElement("div")
+      row.className = "flex items-center gap-3 p-3 rounded-lg border border-dashed border-primary/50 bg-primary/10"
+      const input = document.createElement("input")
+      input.type = "text"
+      input.placeholder = t("New task")
+      input.className = "w-full bg-transparent border-0 outline-none focus:outline-none p-0 m-0"
+      row.appendChild(input)
+      container.appendChild(row)
+      input.focus()
+
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault()
+          input.blur()
+        } else if (e.key === "Escape") {
+          input.value = ""
+          input.blur()
+        }
+      })
+
+      input.addEventListener("blur", () => {
+        const text = input.value.trim()
+        if (text === "") {
+          row.remove()
+          return
+        }
+
+        this.enqueue("add_item", {text: text})
+        const label = document.createElement("span")
+        label.className = "text-base-content"
+        label.textContent = text
+        input.replaceWith(label)
+        row.classList.add("opacity-60")
+      }, {once: true})
+    },
+
+    replay() {
+      if (this.replaying || !this.connected) return
+
+      const queue = readOfflineQueue(this.listId)
+      this.renderBadge()
+      if (queue.length === 0) return
+
+      this.replaying = true
+      const [entry, ...rest] = queue
+
+      // Drop the entry before pushing so an event that crashes the view
+      // cannot be replayed over and over again
+      writeOfflineQueue(this.listId, rest)
+      this.renderBadge()
+
+      const replay = {event: entry.event, payload: entry.payload, client_id: entry.client_id}
+      this.pushEvent("replay_offline", replay, () => {
+        this.replaying = false
+        this.replay()
+      })
+    },
+
+    renderBadge() {
+      const count = readOfflineQueue(this.listId).length
+      this.el.textContent = tn("%{count} pending change", "%{count} pending changes", count)
+      this.el.classList.toggle("hidden", count === 0)
+    }
+  },
+  ListImport: {
+    mounted() {
+      this.items = []
+      this.drop = this.el.querySelector('[data-import-drop]')
+      this.fileInput = this.el.querySelector('[data-import-file]')
+      this.error = this.el.querySelector('[data-import-error]')
+      this.preview = this.el.querySelector('[data-import-preview]')
+      this.titleInput = this.el.querySelector('[data-import-title]')
+      this.confirmButton = this.el.querySelector('[data-import-confirm]')
+      
+      this.fileInput.addEventListener('change', () => {
+        if (this.fileInput.files[0]) this.readFile(this.fileInput.files[0])
+      })
+      
+      this.drop.addEventListener('dragover', (e) => {
+        e.preventDefault()
+        this.drop.classList.add('bg-primary/10')
+      })
+      this.drop.addEventListener('dragleave', () => this.drop.classList.remove('bg-primary/10'))
+      this.drop.addEventListener('drop', (e) => {
+        e.preventDefault()
+        this.drop.classList.remove('bg-primary/10')
+        if (e.dataTransfer.files[0]) this.readFile(e.dataTransfer.files[0])
+      })
+      
+      this.el.querySelector('[data-import-cancel]').addEventListener('click', () => this.reset())
+      this.confirmButton.addEventListener('click', () => this.import())
+    },
+    
+    readFile(file) {
+      if (file.size > IMPORT_MAX_BYTES) {
+        this.showError(t('This file is too large to import.'))
+        return
+      }
+      
+      file.text().then(text => {
+        this.showPreview(parseImportFile(file.name, text))
+      }).catch(err => {
+        this.showError(err.message || t('This file could not be read.'))
+      })
+    },
+    
+    showPreview({title, items, format}) {
+      if (items.length === 0) throw new Error(t('No tasks were found in this file.'))
+      
+      this.items = items.slice(0, IMPORT_LIMIT)
+      this.titleInput.value = title.slice(0, 255)
+      
+      const summary = items.length > IMPORT_LIMIT
+        ? '%{format} · %{tasks}, only the first %{limit} are imported'
+        : '%{format} · %{tasks}'
+      this.el.querySelector('[data-import-summary]').textContent =
+        t(summary, {format: format, tasks: taskCount(items.length), limit: IMPORT_LIMIT})
+      
+      const list = this.el.querySelector('[data-import-items]')
+      list.replaceChildren(...this.items.map(item => {
+        const row = document.createElement('li')
+        row.className = item.status === 'todo' ? '' : 'line-through text-gray-500'
+        row.textContent = `${TASK_STATUS_SYMBOLS[item.status]} ${item.text}`
+        return row
+      }))
+      
+      this.confirmButton.textContent = t('Import %{tasks}', {tasks: taskCount(this.items.length)})
+      this.error.classList.add('hidden')
+      this.drop.classList.add('hidden')
+      this.preview.classList.remove('hidden')
+      this.titleInput.focus()
+    },
+    
+    showError(message) {
+      this.reset()
+      this.error.textContent = message
+      this.error.classList.remove('hidden')
+    },
+    
+    reset() {
+      this.items = []
+      this.fileInput.value = ''
+      this.confirmButton.disabled = false
+      this.error.classList.add('hidden')
+      this.preview.classList.add('hidden')
+      this.drop.classList.remove('hidden')
+    },
+    
+    // The server creates the list and navigates to it, or replies with an
+    // error and the preview stays open to try again
+    import() {
+      this.confirmButton.disabled = true
+      this.pushEvent('import_list', {title: this.titleInput.value, items: this.items}, (reply) => {
+        if (!reply || !reply.error) return
+        
+        this.confirmButton.disabled = false
+        this.error.textContent = reply.error
+        this.error.classList.remove('hidden')
+      })
+    }
+  },
   FocusInput: {
     mounted() {
+      // Someone else is already editing this item, make sure we don't clash
+      const editors = this.el.dataset.editors
+      const question = editors && editors.includes(",")
+        ? "%{names} are already editing this task. Edit it anyway?"
+        : "%{names} is already editing this task. Edit it anyway?"
+      if (editors && !window.confirm(t(question, {names: editors}))) {
+        this.pushEvent("cancel_edit_item", {})
+        return
+      }
+      
+      if (this.el.hasAttribute('data-paste-items')) {
+        this.el.addEventListener('paste', (e) => this.handlePaste(e))
+      }
+      
       this.el.focus()
-      // If the value is "New task" (default for new items), clear it and select all
-      if (this.el.value.trim() === "" || this.el.value === "New task") {
+      // New items the server marks as placeholders start out empty, whatever
+      // the placeholder text is in the current language
+      if (this.el.value.trim() === "" || this.el.hasAttribute('data-placeholder-item')) {
         this.el.value = ""
         this.el.select()
       } else {
@@ -56,6 +699,485 @@ const Hooks = {
         const length = this.el.value.length
         this.el.setSelectionRange(length, length)
       }
+    },
+    
+    handlePaste(e) {
+      const items = parsePastedItems(e.clipboardData.getData('text/plain'))
+      if (!items) return
+      
+      e.preventDefault()
+      this.showPastePreview(items)
+    },
+    
+    // Asks before creating the tasks, the server adds them in one go
+    showPastePreview(items) {
+      const dialog = document.createElement('dialog')
+      dialog.className = 'modal'
+      dialog.id = 'paste-preview'
+      
+      const box = document.createElement('div')
+      box.className = 'modal-box'
+      
+      const heading = document.createElement('h3')
+      heading.className = 'text-lg font-bold'
+      heading.textContent = t('Add %{tasks}?', {tasks: taskCount(items.length)})
+      box.appendChild(heading)
+      
+      const list = document.createElement('ul')
+      list.className = 'mt-4 max-h-72 overflow-y-auto space-y-1'
+      items.forEach(item => {
+        const row = document.createElement('li')
+        row.className = item.status === 'todo' ? '' : 'line-through text-gray-500'
+        row.textContent = `${TASK_STATUS_SYMBOLS[item.status]} ${item.text}`
+        list.appendChild(row)
+      })
+      box.appendChild(list)
+      
+      const actions = document.createElement('div')
+      actions.className = 'modal-action'
+      const cancel = document.createElement('button')
+      cancel.type = 'button'
+      cancel.className = 'btn'
+      cancel.textContent = t('Cancel')
+      const confirm = document.createElement('button')
+      confirm.type = 'button'
+      confirm.className = "btn btn-primary"
+      confirm.textContent = t('Add %{tasks}', {tasks: taskCount(items.length)})
+      actions.append(cancel, confirm)
+      box.appendChild(actions)
+      dialog.appendChild(box)
+      
+      // The input loses focus to the dialog and leaves edit mode, which removes
+      // this hook, so the event goes to the view directly. Closing the dialog
+      // some other way, such as with Escape, cancels
+      const itemId = this.el.getAttribute('phx-value-id')
+      dialog.addEventListener('close', () => {
+        dialog.remove()
+        if (dialog.returnValue === 'confirm') {
+          pushToLiveView('paste_items', {id: itemId, items: items})
+        } else if (this.el.isConnected) {
+          this.el.focus()
+        }
+      })
+      cancel.addEventListener('click', () => dialog.close('cancel'))
+      confirm.addEventListener('click', () => dialog.close('confirm'))
+      
+      document.body.appendChild(dialog)
+      dialog.showModal()
+      confirm.focus()
+    }
+  },
+  Shortcuts: {
+    mounted() {
+      this.cursorId = null
+      this.overlay = this.el.querySelector('[data-shortcuts-overlay]')
+      
+      // The selection is drawn by a style rule keyed on the item id, so it
+      // survives LiveView re-rendering the rows
+      this.cursorStyle = document.createElement('style')
+      this.cursorStyle.id = 'shortcut-cursor-style'
+      document.head.appendChild(this.cursorStyle)
+      
+      this.onKeyDown = (e) => this.handleKey(e)
+      this.onClose = () => this.toggleOverlay(false)
+      window.addEventListener('keydown', this.onKeyDown)
+      this.el.querySelector('[data-shortcuts-close]').addEventListener('click', this.onClose)
+    },
+    
+    destroyed() {
+      window.removeEventListener('keydown', this.onKeyDown)
+      this.cursorStyle.remove()
+    },
+    
+    handleKey(e) {
+      if (e.defaultPrevented || this.isTyping(e.target) || this.listCovered()) return
+      
+      // Ctrl/Cmd+Z undoes the client's latest change, with Shift it redoes.
+      // Inside inputs the browser's own text undo applies instead
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+        e.preventDefault()
+        this.pushEvent(e.shiftKey ? 'redo' : 'undo', {})
+        return
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey) return
+      
+      if (this.overlayOpen()) {
+        if (e.key === '?' || e.key === 'Escape') {
+          e.preventDefault()
+          this.toggleOverlay(false)
+        }
+        return
+      }
+      
+      const itemActions = {
+        x: 'toggle_status',
+        e: 'edit_item',
+        d: 'soft_delete',
+        f: 'start_focus_timer'
+      }
+      
+      switch (e.key) {
+        case '?':
+          this.toggleOverlay(true)
+          break
+        case 'n':
+          this.pushEvent('add_item', {})
+          break
+        case 'r':
+          this.pushEvent('refresh', {})
+          break
+        case 'j':
+          this.moveCursor(1)
+          break
+        case 'k':
+          this.moveCursor(-1)
+          break
+        default: {
+          if (!itemActions[e.key]) return
+          const row = this.cursorRow()
+          if (!row) return
+          this.pushEvent(itemActions[e.key], {id: row.dataset.itemId})
+        }
+      }
+      e.preventDefault()
+    },
+    
+    // Shortcuts stay out of the way while the user types anywhere
+    isTyping(target) {
+      return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+    },
+    
+    // Focus mode and the server's dialogs cover the list, keys must not act on it
+    listCovered() {
+      return document.querySelector('#focus-mode, #focus-timer-modal, #merge-dialog') !== null
+    },
+    
+    rows() {
+      return Array.from(document.querySelectorAll('#todo-items-container [data-draggable]'))
+    },
+    
+    cursorRow() {
+      return this.rows().find(row => row.dataset.itemId === this.cursorId)
+    },
+    
+    moveCursor(delta) {
+      const rows = this.rows()
+      if (rows.length === 0) return
+      
+      const index = rows.findIndex(row => row.dataset.itemId === this.cursorId)
+      const next = index === -1
+        ? (delta > 0 ? 0 : rows.length - 1)
+        : Math.min(rows.length - 1, Math.max(0, index + delta))
+      
+      this.cursorId = rows[next].dataset.itemId
+      this.cursorStyle.textContent = `
+        [data-draggable][data-item-id="${CSS.escape(this.cursorId)}"] {
+          box-shadow: 0 0 0 2px var(--color-primary);
+        }
+      `
+      rows[next].scrollIntoView({block: 'nearest'})
+    },
+    
+    overlayOpen() {
+      return !this.overlay.classList.contains('hidden')
+    },
+    
+    toggleOverlay(open) {
+      this.overlay.classList.toggle('hidden', !open)
+      if (open) this.el.querySelector('[data-shortcuts-close]').focus()
+    }
+  },
+  CommandPalette: {
+    mounted() {
+      this.overlay = this.el.querySelector('[data-palette-overlay]')
+      this.input = this.el.querySelector('[data-palette-input]')
+      this.list = this.el.querySelector('[data-palette-results]')
+      this.context = this.el.querySelector('[data-palette-context]')
+      this.results = []
+      this.activeIndex = 0
+      // Either null, {pick: command} while choosing a task for a command, or
+      // {item: row} while choosing what to do with a task
+      this.mode = null
+      
+      this.commands = [
+        {label: t('Rename list'), run: () => this.pushEvent('edit_title', {})},
+        {label: t('Share list'), run: () => clickById('share-button')},
+        {label: t('Copy share link'), run: () => clickById('copy-share-link')},
+        {label: t('Export as Markdown'), run: () => clickById('export-md')},
+        {label: t('Export as CSV'), run: () => clickById('export-csv')},
+        {label: t('Export as JSON'), run: () => clickById('export-json')},
+        {label: t('Present list'), run: () => clickById('present-link')},
+        {label: t('Print list'), run: () => window.print()},
+        {label: t('Add task'), run: () => this.pushEvent('add_item', {})},
+        {label: t('Refresh list'), run: () => this.pushEvent('refresh', {})},
+        {label: t('Undo last change'), run: () => this.pushEvent('undo', {})},
+        {label: t('Redo'), run: () => this.pushEvent('redo', {})},
+        {label: t('Start focus timer'), itemEvent: 'start_focus_timer'},
+        {label: t('Toggle task status'), itemEvent: 'toggle_status'},
+        {label: t('Edit task'), itemEvent: 'edit_item'}
+      ]
+      
+      this.onKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+          e.preventDefault()
+          this.isOpen() ? this.close() : this.open()
+        }
+      }
+      this.onInput = () => this.search()
+      this.onInputKeyDown = (e) => this.handleInputKey(e)
+      // Clicking the backdrop around the palette closes it
+      this.onOverlayClick = (e) => {
+        if (e.target === this.overlay || e.target === this.overlay.firstElementChild) this.close()
+      }
+      this.onResultClick = (e) => {
+        const li = e.target.closest('[data-index]')
+        if (li) this.choose(this.results[parseInt(li.dataset.index)])
+      }
+      
+      window.addEventListener('keydown', this.onKeyDown)
+      this.input.addEventListener('input', this.onInput)
+      this.input.addEventListener('keydown', this.onInputKeyDown)
+      this.overlay.addEventListener('click', this.onOverlayClick)
+      this.list.addEventListener('click', this.onResultClick)
+    },
+    
+    destroyed() {
+      window.removeEventListener('keydown', this.onKeyDown)
+    },
+    
+    isOpen() {
+      return !this.overlay.classList.contains('hidden')
+    },
+    
+    open() {
+      this.previousFocus = document.activeElement
+      this.setMode(null)
+      this.overlay.classList.remove('hidden')
+      this.input.focus()
+    },
+    
+    close() {
+      this.overlay.classList.add('hidden')
+      if (this.previousFocus && document.contains(this.previousFocus)) this.previousFocus.focus()
+    },
+    
+    setMode(mode) {
+      this.mode = mode
+      this.input.value = ''
+      
+      if (mode && mode.pick) {
+        this.context.textContent = t('%{command}: pick a task', {command: mode.pick.label})
+      } else if (mode && mode.item) {
+        this.context.textContent = t('Task: %{task}', {task: mode.item.dataset.itemText})
+      }
+      this.context.classList.toggle('hidden', !mode)
+      this.search()
+    },
+    
+    rows() {
+      return Array.from(document.querySelectorAll('#todo-items-container [data-item-id]'))
+    },
+    
+    // Every entry the current mode offers, before filtering
+    candidates() {
+      if (this.mode && this.mode.item) {
+        const row = this.mode.item
+        return [{label: t('Jump to task'), run: () => this.jumpTo(row)}].concat(
+          this.commands
+            .filter(command => command.itemEvent)
+            .map(command => ({
+              label: command.label,
+              run: () => this.pushEvent(command.itemEvent, {id: row.dataset.itemId})
+            }))
+        )
+      }
+      
+      const items = this.rows().map(row => ({
+        label: row.dataset.itemText,
+        kind: t('Task'),
+        row: row
+      }))
+      
+      if (this.mode && this.mode.pick) return items
+      return this.commands.map(command => ({...command, kind: t('Command')})).concat(items)
+    },
+    
+    search() {
+      const query = this.input.value.trim()
+      
+      this.results = this.candidates()
+        .map(entry => ({entry, score: query ? fuzzyScore(query, entry.label) : 0}))
+        .filter(result => result.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 50)
+        .map(result => result.entry)
+      this.activeIndex = 0
+      this.render()
+    },
+    
+    render() {
+      this.list.innerHTML = ''
+      
+      if (this.results.length === 0) {
+        const empty = document.createElement('li')
+        empty.className = 'px-4 py-2 text-sm text-gray-500'
+        empty.textContent = t('No matches')
+        this.list.appendChild(empty)
+        return
+      }
+      
+      this.results.forEach((entry, index) => {
+        const li = document.createElement('li')
+        const active = index === this.activeIndex
+        li.id = `command-palette-option-${index}`
+        li.dataset.index = index
+        li.setAttribute('role', 'option')
+        li.setAttribute('aria-selected', active ? 'true' : 'false')
+        li.className = `flex justify-between gap-4 px-4 py-2 text-sm cursor-pointer ${active ? 'bg-primary/15 text-base-content' : 'text-base-content/80'}`
+        
+        const label = document.createElement('span')
+        label.className = 'truncate'
+        label.textContent = entry.label
+        li.appendChild(label)
+        
+        if (entry.kind) {
+          const kind = document.createElement('span')
+          kind.className = 'text-xs text-gray-400 flex-shrink-0'
+          kind.textContent = entry.kind
+          li.appendChild(kind)
+        }
+        this.list.appendChild(li)
+      })
+      
+      this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`)
+      this.list.children[this.activeIndex].scrollIntoView({block: 'nearest'})
+    },
+    
+    handleInputKey(e) {
+      switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+          e.preventDefault()
+          if (this.results.length === 0) return
+          const delta = e.key === 'ArrowDown' ? 1 : -1
+          this.activeIndex = (this.activeIndex + delta + this.results.length) % this.results.length
+          this.render()
+          break
+        }
+        case 'Enter':
+          e.preventDefault()
+          if (this.results[this.activeIndex]) this.choose(this.results[this.activeIndex])
+          break
+        case 'Escape':
+          e.preventDefault()
+          // Step back out of a task before closing the palette
+          this.mode ? this.setMode(null) : this.close()
+          break
+        case 'Backspace':
+          if (this.mode && this.input.value === '') this.setMode(null)
+          break
+      }
+    },
+    
+    choose(entry) {
+      if (entry.row && this.mode && this.mode.pick) {
+        const command = this.mode.pick
+        this.close()
+        this.pushEvent(command.itemEvent, {id: entry.row.dataset.itemId})
+      } else if (entry.row) {
+        this.setMode({item: entry.row})
+      } else if (entry.itemEvent) {
+        this.setMode({pick: entry})
+      } else {
+        this.close()
+        entry.run()
+      }
+    },
+    
+    jumpTo(row) {
+      row.scrollIntoView({behavior: 'smooth', block: 'center'})
+      row.animate(
+        [{boxShadow: `0 0 0 3px ${themeColor('primary')}`}, {boxShadow: '0 0 0 3px transparent'}],
+        {duration: 1500, easing: 'ease-out'}
+      )
+    }
+  },
+  SharePopover: {
+    mounted() {
+      this.panel = document.getElementById(this.el.getAttribute('aria-controls'))
+      this.nativeButton = this.panel.querySelector('[data-share-native]')
+      
+      // Only offered where the browser can hand the link to other apps
+      if (navigator.share) this.nativeButton.classList.remove('hidden')
+      
+      this.el.addEventListener('click', (e) => {
+        e.preventDefault()
+        this.isOpen() ? this.close() : this.open()
+      })
+      
+      this.nativeButton.addEventListener('click', () => this.shareNatively())
+      
+      this.onDocumentClick = (e) => {
+        if (this.isOpen() && !this.panel.contains(e.target) && !this.el.contains(e.target)) {
+          this.close()
+        }
+      }
+      this.onKeyDown = (e) => {
+        if (e.key === 'Escape' && this.isOpen()) {
+          this.close()
+          this.el.focus()
+        }
+      }
+      document.addEventListener('click', this.onDocumentClick)
+      document.addEventListener('keydown', this.onKeyDown)
+    },
+    
+    destroyed() {
+      document.removeEventListener('click', this.onDocumentClick)
+      document.removeEventListener('keydown', this.onKeyDown)
+    },
+    
+    isOpen() {
+      return !this.panel.classList.contains('hidden')
+    },
+    
+    open() {
+      this.renderQrCode()
+      this.panel.classList.remove('hidden')
+      this.el.setAttribute('aria-expanded', 'true')
+      this.panel.querySelector('[data-share-url]').select()
+    },
+    
+    close() {
+      this.panel.classList.add('hidden')
+      this.el.setAttribute('aria-expanded', 'false')
+    },
+    
+    // Drawn in the browser so the link never goes to a third-party service
+    renderQrCode() {
+      const url = this.el.dataset.url
+      const container = this.panel.querySelector('[data-share-qr]')
+      if (container.dataset.renderedUrl === url) return
+      
+      const qr = qrcode(0, 'M')
+      qr.addData(url)
+      qr.make()
+      container.innerHTML = qr.createSvgTag({cellSize: 4, margin: 8, scalable: true})
+      container.dataset.renderedUrl = url
+    },
+    
+    shareNatively() {
+      const data = {title: this.el.dataset.title, url: this.el.dataset.url}
+      
+      navigator.share(data).then(() => {
+        this.close()
+      }).catch((err) => {
+        // Closing the share sheet is not a failure, anything else falls back to copying
+        if (err.name !== 'AbortError') {
+          clickById('copy-share-link')
+        }
+      })
     }
   },
   CopyToClipboard: {
@@ -100,16 +1222,32 @@ const Hooks = {
   },
   DragDrop: {
     mounted() {
-      this.draggedElement = null
-      this.placeholder = null
+      this.drag = null
+      this.pending = null
+      this.keyboardItem = null
+      this.keyboardOrigin = null
+      this.selectedIds = new Set()
+      this.selectionAnchor = null
       this.initializeDragDrop()
     },
     
     updated() {
-      // Just reinitialize drag handles when DOM updates
+      // A keyboard pick-up cannot survive the item being patched away
+      if (this.keyboardItem && !this.el.contains(this.keyboardItem)) {
+        this.resetKeyboardDrag()
+      }
+      
+      // Patched rows lose their transition class and selection highlight
       this.setupDragHandles()
     },
     
+    destroyed() {
+      this.cancelPendingDrag()
+      if (this.drag) this.endPointerDrag(false)
+      window.removeEventListener('click', this.onSelectClick, true)
+      window.removeEventListener('keydown', this.onSelectKeyDown)
+    },
+    
     initializeDragDrop() {
       const container = this.el
       
@@ -124,77 +1262,119 @@ const Hooks = {
         style.textContent = `
           .drag-transition { transition: transform 0.2s ease, opacity 0.2s ease; }
           .drag-placeholder {
-            opacity: 0.5; background: linear-gradient(135deg, #fed7aa 0%, #fdba74 100%);
-            border: 2px dashed #f97316; min-height: 60px; margin: 2px 0; border-radius: 8px;
-            display: flex; align-items: center; justify-content: center; color: #ea580c; font-size: 14px;
+            opacity: 0.5; background: color-mix(in oklab, var(--color-primary) 25%, var(--color-base-100));
+            border: 2px dashed var(--color-primary); min-height: 60px; margin: 2px 0; border-radius: 8px;
+            display: flex; align-items: center; justify-content: center; color: var(--color-primary);
+            font-size: 14px;
           }
           .dragging-item {
             opacity: 0.8; transform: rotate(3deg); z-index: 1000; box-shadow: 0 10px 25px rgba(0,0,0,0.3);
           }
+          .drag-clone { position: fixed; margin: 0; pointer-events: none; }
+          .drag-selected { outline: 2px solid var(--color-primary); outline-offset: 2px; }
+          .drag-list-target {
+            background: color-mix(in oklab, var(--color-primary) 15%, var(--color-base-100));
+            border-color: var(--color-primary); border-style: solid; color: var(--color-base-content);
+          }
+          .drag-count {
+            position: absolute; top: -8px; right: -8px; min-width: 24px; height: 24px; padding: 0 6px;
+            border-radius: 12px; background: var(--color-primary); color: var(--color-primary-content);
+            font-size: 12px; font-weight: 600;
+            display: flex; align-items: center; justify-content: center;
+          }
+          [data-drag-handle] { touch-action: none; user-select: none; -webkit-user-select: none; }
         `
         document.head.appendChild(style)
       }
       
-      // Container-level event delegation
-      container.addEventListener('dragover', (e) => {
-        e.preventDefault()
-        e.dataTransfer.dropEffect = 'move'
+      // Pointer Events cover mouse, pen and touch. Touch needs a long press so
+      // a swipe over a handle does not grab the item by accident.
+      container.addEventListener('pointerdown', (e) => {
+        const handle = e.target.closest('[data-drag-handle]')
+        if (!handle || this.drag || this.keyboardItem) return
+        if (e.pointerType === 'mouse' && e.button !== 0) return
         
-        const item = e.target.closest('[data-draggable]')
-        if (item && this.draggedElement && item !== this.draggedElement && this.placeholder) {
-          const rect = item.getBoundingClientRect()
-          const midY = rect.top + rect.height / 2
-          
-          if (this.placeholder.parentNode) {
-            this.placeholder.remove()
-          }
-          
-          if (e.clientY < midY) {
-            item.parentNode.insertBefore(this.placeholder, item)
-          } else {
-            item.parentNode.insertBefore(this.placeholder, item.nextSibling)
-          }
+        const item = handle.closest('[data-draggable]')
+        this.pending = {item, handle, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, timer: null}
+        
+        if (e.pointerType === 'touch') {
+          this.pending.timer = setTimeout(() => this.startPointerDrag(this.pending.lastEvent || e), 400)
         }
       })
       
-      container.addEventListener('drop', (e) => {
-        e.preventDefault()
+      container.addEventListener('pointermove', (e) => {
+        if (!this.pending || this.pending.pointerId !== e.pointerId) return
+        this.pending.lastEvent = e
         
+        const distance = Math.hypot(e.clientX - this.pending.startX, e.clientY - this.pending.startY)
+        if (this.pending.timer) {
+          // Moving before the long press fires means the finger is scrolling
+          if (distance > 10) this.cancelPendingDrag()
+        } else if (distance > 5) {
+          this.startPointerDrag(e)
+        }
+      })
+      
+      container.addEventListener('pointerup', () => this.cancelPendingDrag())
+      container.addEventListener('pointercancel', () => this.cancelPendingDrag())
+      
+      // Long presses would otherwise open the context menu on mobile
+      container.addEventListener('contextmenu', (e) => {
+        if (e.target.closest('[data-drag-handle]')) e.preventDefault()
+      })
+      
+      // Shift/Ctrl/Cmd-click selects several rows to drag as a block. Capture
+      // phase on window so LiveView never sees these clicks as edit_item.
+      // Buttons, links and inputs inside a row keep their own clicks.
+      this.onSelectClick = (e) => {
         const item = e.target.closest('[data-draggable]')
+        if (!item || !this.el.contains(item) || e.target.closest('button, a, input')) return
         
-        if (this.draggedElement && this.placeholder) {
-          const dropPosition = this.placeholder.nextSibling
-          this.placeholder.remove()
-          
-          this.draggedElement.style.display = ''
-          
-          if (dropPosition) {
-            container.insertBefore(this.draggedElement, dropPosition)
-          } else {
-            container.appendChild(this.draggedElement)
-          }
-          
-          // Calculate target for server
-          let targetElement, position
-          if (dropPosition) {
-            targetElement = dropPosition
-            position = 'before'
-          } else {
-            const allItems = Array.from(container.querySelectorAll('[data-draggable]'))
-            const draggedIndex = allItems.indexOf(this.draggedElement)
-            if (draggedIndex > 0) {
-              targetElement = allItems[draggedIndex - 1]
-              position = 'after'
-            }
-          }
-          
-          if (targetElement && targetElement.dataset.itemId) {
-            this.pushEvent("reorder_item", {
-              item_id: this.draggedElement.dataset.itemId,
-              reference_id: targetElement.dataset.itemId,
-              position: position
-            })
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+          e.preventDefault()
+          e.stopImmediatePropagation()
+          this.toggleSelection(item, e.shiftKey)
+        } else if (this.selectedIds.size > 0) {
+          this.clearSelection()
+        }
+      }
+      this.onSelectKeyDown = (e) => {
+        if (e.key === 'Escape' && this.selectedIds.size > 0 && !this.drag && !this.keyboardItem) {
+          this.clearSelection()
+        }
+      }
+      window.addEventListener('click', this.onSelectClick, true)
+      window.addEventListener('keydown', this.onSelectKeyDown)
+      
+      // Keyboard reordering: Space picks up, arrows move, Space/Enter drops, Escape cancels
+      container.addEventListener('keydown', (e) => {
+        const handle = e.target.closest('[data-drag-handle]')
+        if (!handle) return
+        const item = handle.closest('[data-draggable]')
+        
+        if (!this.keyboardItem) {
+          if (e.key === ' ') {
+            e.preventDefault()
+            this.pickUpWithKeyboard(item)
           }
+          return
+        }
+        
+        switch (e.key) {
+          case 'ArrowUp':
+          case 'ArrowDown':
+            e.preventDefault()
+            this.moveWithKeyboard(e.key === 'ArrowUp' ? -1 : 1)
+            break
+          case ' ':
+          case 'Enter':
+            e.preventDefault()
+            this.dropWithKeyboard()
+            break
+          case 'Escape':
+            e.preventDefault()
+            this.cancelKeyboardDrag()
+            break
         }
       })
       
@@ -202,77 +1382,536 @@ const Hooks = {
     },
     
     setupDragHandles() {
-      const container = this.el
-      
-      container.querySelectorAll('[data-draggable]').forEach(item => {
-        const dragHandle = item.querySelector('[data-drag-handle]')
+      this.el.querySelectorAll('[data-draggable]').forEach(item => {
         item.classList.add('drag-transition')
+      })
+      this.applySelection()
+    },
+    
+    toggleSelection(item, extendRange) {
+      const allItems = Array.from(this.el.querySelectorAll('[data-draggable]'))
+      const anchor = allItems.find(i => i.dataset.itemId === this.selectionAnchor)
+      
+      if (extendRange && anchor) {
+        const [from, to] = [allItems.indexOf(anchor), allItems.indexOf(item)].sort((a, b) => a - b)
+        allItems.slice(from, to + 1).forEach(i => this.selectedIds.add(i.dataset.itemId))
+      } else if (this.selectedIds.has(item.dataset.itemId)) {
+        this.selectedIds.delete(item.dataset.itemId)
+      } else {
+        this.selectedIds.add(item.dataset.itemId)
+      }
+      
+      this.selectionAnchor = item.dataset.itemId
+      this.applySelection()
+      
+      const count = this.selectedIds.size
+      this.announce(tn("%{count} task selected.", "%{count} tasks selected.", count))
+    },
+    
+    clearSelection() {
+      this.selectedIds.clear()
+      this.selectionAnchor = null
+      this.applySelection()
+    },
+    
+    // Selection is kept by id so it survives LiveView re-rendering the rows
+    applySelection() {
+      this.el.querySelectorAll('[data-draggable]').forEach(item => {
+        const selected = this.selectedIds.has(item.dataset.itemId)
+        item.classList.toggle('drag-selected', selected)
+        item.setAttribute('aria-selected', selected ? 'true' : 'false')
+      })
+    },
+    
+    selectedItems() {
+      return Array.from(this.el.querySelectorAll('[data-draggable]'))
+        .filter(item => this.selectedIds.has(item.dataset.itemId))
+    },
+    
+    cancelPendingDrag() {
+      if (this.pending && this.pending.timer) clearTimeout(this.pending.timer)
+      this.pending = null
+    },
+    
+    startPointerDrag(e) {
+      const {item, handle, pointerId} = this.pending
+      this.cancelPendingDrag()
+      if (!this.el.contains(item)) return
+      
+      // Dragging a selected row takes the whole selection along with it
+      let items = [item]
+      if (this.selectedIds.has(item.dataset.itemId) && this.selectedIds.size > 1) {
+        items = this.selectedItems()
+      } else {
+        this.clearSelection()
+      }
+      
+      const rect = item.getBoundingClientRect()
+      const clone = item.cloneNode(true)
+      clone.removeAttribute('id')
+      clone.classList.remove('drag-selected')
+      clone.classList.add('drag-clone', 'dragging-item')
+      clone.style.width = `${rect.width}px`
+      clone.style.left = `${rect.left}px`
+      clone.style.top = `${rect.top}px`
+      if (items.length > 1) {
+        const count = document.createElement('span')
+        count.className = 'drag-count'
+        count.textContent = items.length
+        clone.appendChild(count)
+      }
+      document.body.appendChild(clone)
+      
+      const placeholder = document.createElement('div')
+      placeholder.className = 'drag-placeholder'
+      placeholder.textContent = tn('↕ Drop here', '↕ Drop %{count} tasks here', items.length)
+      items[0].parentNode.insertBefore(placeholder, items[0])
+      items.forEach(i => i.style.display = 'none')
+      
+      this.drag = {
+        item,
+        items,
+        clone,
+        placeholder,
+        pointerId,
+        originOrder: this.currentOrder(),
+        listTarget: null,
+        offsetX: e.clientX - rect.left,
+        offsetY: e.clientY - rect.top,
+        clientX: e.clientX,
+        clientY: e.clientY,
+        scrollFrame: null
+      }
+      
+      // Keep receiving moves even when the pointer leaves the handle
+      try { handle.setPointerCapture(pointerId) } catch (_err) {}
+      if (e.pointerType === 'touch' && navigator.vibrate) navigator.vibrate(30)
+      document.body.style.userSelect = 'none'
+      
+      // Other lists accept drops too, their targets are only shown while dragging
+      document.querySelectorAll('[data-drop-targets]').forEach(el => el.classList.remove('hidden'))
+      
+      this.onPointerMove = (ev) => {
+        if (ev.pointerId !== pointerId) return
+        ev.preventDefault()
+        this.drag.clientX = ev.clientX
+        this.drag.clientY = ev.clientY
+        this.moveClone()
+        this.updatePlaceholder()
+      }
+      this.onPointerUp = (ev) => ev.pointerId === pointerId && this.endPointerDrag(true)
+      this.onPointerCancel = (ev) => ev.pointerId === pointerId && this.endPointerDrag(false)
+      this.onDragKeyDown = (ev) => ev.key === 'Escape' && this.endPointerDrag(false)
+      
+      window.addEventListener('pointermove', this.onPointerMove, {passive: false})
+      window.addEventListener('pointerup', this.onPointerUp)
+      window.addEventListener('pointercancel', this.onPointerCancel)
+      window.addEventListener('keydown', this.onDragKeyDown)
+      
+      this.autoScroll()
+    },
+    
+    moveClone() {
+      const {clone, clientX, clientY, offsetX, offsetY} = this.drag
+      clone.style.left = `${clientX - offsetX}px`
+      clone.style.top = `${clientY - offsetY}px`
+    },
+    
+    updatePlaceholder() {
+      const {items, placeholder, clientX, clientY} = this.drag
+      const target = document.elementFromPoint(clientX, clientY)
+      
+      const listTarget = target && target.closest('[data-drop-list-id]')
+      this.setListTarget(listTarget && listTarget.dataset.dropListId !== this.el.dataset.dropListId ? listTarget : null)
+      if (this.drag.listTarget) return
+      
+      const over = target && target.closest('[data-draggable]')
+      if (!over || items.includes(over) || !this.el.contains(over)) return
+      
+      const rect = over.getBoundingClientRect()
+      if (clientY < rect.top + rect.height / 2) {
+        over.parentNode.insertBefore(placeholder, over)
+      } else {
+        over.parentNode.insertBefore(placeholder, over.nextSibling)
+      }
+    },
+    
+    setListTarget(listTarget) {
+      const {placeholder} = this.drag
+      if (this.drag.listTarget === listTarget) return
+      
+      if (this.drag.listTarget) this.drag.listTarget.classList.remove('drag-list-target')
+      if (listTarget) listTarget.classList.add('drag-list-target')
+      placeholder.style.display = listTarget ? 'none' : ''
+      this.drag.listTarget = listTarget
+    },
+    
+    // Scroll the page while the pointer rests near the top or bottom edge
+    autoScroll() {
+      if (!this.drag) return
+      
+      const edge = 60
+      const {clientY} = this.drag
+      let speed = 0
+      if (clientY < edge) {
+        speed = -Math.ceil((edge - clientY) / 4)
+      } else if (clientY > window.innerHeight - edge) {
+        speed = Math.ceil((clientY - (window.innerHeight - edge)) / 4)
+      }
+      
+      if (speed !== 0) {
+        window.scrollBy(0, speed)
+        this.updatePlaceholder()
+      }
+      
+      this.drag.scrollFrame = requestAnimationFrame(() => this.autoScroll())
+    },
+    
+    endPointerDrag(commit) {
+      const {items, clone, placeholder, originOrder, scrollFrame, listTarget} = this.drag
+      this.drag = null
+      
+      document.querySelectorAll('[data-drop-targets]').forEach(el => el.classList.add('hidden'))
+      if (listTarget) listTarget.classList.remove('drag-list-target')
+      
+      cancelAnimationFrame(scrollFrame)
+      window.removeEventListener('pointermove', this.onPointerMove)
+      window.removeEventListener('pointerup', this.onPointerUp)
+      window.removeEventListener('pointercancel', this.onPointerCancel)
+      window.removeEventListener('keydown', this.onDragKeyDown)
+      
+      clone.remove()
+      items.forEach(i => i.style.display = '')
+      document.body.style.userSelect = ''
+      
+      if (commit && listTarget) {
+        // The server removes the rows once they have moved to the other list
+        placeholder.remove()
+        this.pushEvent("move_items", {
+          item_ids: items.map(i => i.dataset.itemId),
+          todo_list_id: listTarget.dataset.dropListId
+        })
+        this.clearSelection()
+        return
+      }
+      
+      if (commit && placeholder.parentNode) {
+        items.forEach(i => placeholder.parentNode.insertBefore(i, placeholder))
+      }
+      placeholder.remove()
+      
+      if (commit && this.currentOrder() !== originOrder) {
+        this.pushReorder(items)
+        if (items.length > 1) this.clearSelection()
+      }
+    },
+    
+    currentOrder() {
+      return Array.from(this.el.querySelectorAll('[data-draggable]')).map(i => i.dataset.itemId).join(',')
+    },
+    
+    // Tell the server where the items ended up, relative to their new neighbour
+    pushReorder(items) {
+      const allItems = Array.from(this.el.querySelectorAll('[data-draggable]'))
+      const others = allItems.filter(i => !items.includes(i))
+      const next = others.find(i => allItems.indexOf(i) > allItems.indexOf(items[items.length - 1]))
+      const previous = others.reverse().find(i => allItems.indexOf(i) < allItems.indexOf(items[0]))
+      let targetElement, position
+      
+      if (next) {
+        targetElement = next
+        position = 'before'
+      } else if (previous) {
+        targetElement = previous
+        position = 'after'
+      }
+      
+      if (!targetElement || !targetElement.dataset.itemId) return
+      
+      if (items.length === 1) {
+        this.pushEvent("reorder_item", {
+          item_id: items[0].dataset.itemId,
+          reference_id: targetElement.dataset.itemId,
+          position: position
+        })
+      } else {
+        this.pushEvent("reorder_items", {
+          item_ids: items.map(i => i.dataset.itemId),
+          reference_id: targetElement.dataset.itemId,
+          position: position
+        })
+      }
+    },
+    
+    pickUpWithKeyboard(item) {
+      this.keyboardItem = item
+      this.keyboardOrigin = item.nextSibling
+      item.classList.add('dragging-item')
+      this.announce(t(
+        'Picked up %{task}, %{position}. ' +
+          'Use the arrow keys to move, Space or Enter to drop, Escape to cancel.',
+        {task: this.itemLabel(item), position: this.positionText(item)}
+      ))
+    },
+    
+    moveWithKeyboard(direction) {
+      const item = this.keyboardItem
+      const allItems = Array.from(this.el.querySelectorAll('[data-draggable]'))
+      const index = allItems.indexOf(item)
+      const neighbour = allItems[index + direction]
+      if (!neighbour) return
+      
+      if (direction < 0) {
+        neighbour.parentNode.insertBefore(item, neighbour)
+      } else {
+        neighbour.parentNode.insertBefore(item, neighbour.nextSibling)
+      }
+      
+      // Moving the node drops focus, so put it back on the handle
+      const handle = item.querySelector('[data-drag-handle]')
+      if (handle) handle.focus()
+      this.announce(t('Moved to %{position}.', {position: this.positionText(item)}))
+    },
+    
+    dropWithKeyboard() {
+      const item = this.keyboardItem
+      const moved = item.nextSibling !== this.keyboardOrigin
+      this.resetKeyboardDrag()
+      
+      if (moved) this.pushReorder([item])
+      this.announce(t('Dropped %{task} at %{position}.', {
+        task: this.itemLabel(item),
+        position: this.positionText(item)
+      }))
+    },
+    
+    cancelKeyboardDrag() {
+      const item = this.keyboardItem
+      if (this.keyboardOrigin && this.keyboardOrigin.parentNode === this.el) {
+        this.el.insertBefore(item, this.keyboardOrigin)
+      } else {
+        this.el.appendChild(item)
+      }
+      this.resetKeyboardDrag()
+      
+      const handle = item.querySelector('[data-drag-handle]')
+      if (handle) handle.focus()
+      this.announce(t('Reorder cancelled, %{task} is back at %{position}.', {
+        task: this.itemLabel(item),
+        position: this.positionText(item)
+      }))
+    },
+    
+    resetKeyboardDrag() {
+      if (this.keyboardItem) this.keyboardItem.classList.remove('dragging-item')
+      this.keyboardItem = null
+      this.keyboardOrigin = null
+    },
+    
+    itemLabel(item) {
+      return `"${item.dataset.itemText || ''}"`
+    },
+    
+    positionText(item) {
+      const allItems = Array.from(this.el.querySelectorAll('[data-draggable]'))
+      return t('position %{index} of %{count}', {
+        index: allItems.indexOf(item) + 1,
+        count: allItems.length
+      })
+    },
+    
+    announce(message) {
+      const region = document.getElementById('reorder-announcer')
+      if (region) region.textContent = message
+    }
+  },
+  DisplayName: {
+    mounted() {
+      const stored = readDisplayName()
+      if (stored) this.el.value = stored
+      
+      this.onChange = () => {
+        const name = this.el.value.trim()
+        if (name) {
+          localStorage.setItem(DISPLAY_NAME_KEY, name)
+        } else {
+          localStorage.removeItem(DISPLAY_NAME_KEY)
+        }
+        this.pushEvent("set_display_name", {name: name}, (reply) => {
+          if (!name && reply && reply.name) this.el.value = reply.name
+        })
+      }
+      this.onKeydown = (e) => {
+        if (e.key === 'Enter') this.el.blur()
+      }
+      
+      this.el.addEventListener('change', this.onChange)
+      this.el.addEventListener('keydown', this.onKeydown)
+    },
+    
+    destroyed() {
+      this.el.removeEventListener('change', this.onChange)
+      this.el.removeEventListener('keydown', this.onKeydown)
+    }
+  },
+  FocusPreferences: {
+    mounted() {
+      this.inputs = this.el.querySelectorAll("input[data-preference]")
+      this.hint = this.el.querySelector("[data-notification-hint]")
+      this.render()
+      
+      this.onChange = (e) => {
+        const name = e.target.dataset.preference
+        if (!name) return
         
-        if (dragHandle) {
-          dragHandle.draggable = true
-          
-          // Remove old handlers by cloning
-          const newHandle = dragHandle.cloneNode(true)
-          dragHandle.parentNode.replaceChild(newHandle, dragHandle)
-          
-          newHandle.addEventListener('dragstart', (e) => {
-            this.draggedElement = item
-            item.classList.add('dragging-item')
-            
-            this.placeholder = document.createElement('div')
-            this.placeholder.className = 'drag-placeholder'
-            this.placeholder.innerHTML = '↕ Drop here'
-            
-            e.dataTransfer.effectAllowed = 'move'
-            e.dataTransfer.setData('text/html', item.outerHTML)
-            
-            setTimeout(() => item.style.display = 'none', 0)
-            e.stopPropagation()
-          })
-          
-          newHandle.addEventListener('dragend', (e) => {
-            item.classList.remove('dragging-item')
-            item.style.display = ''
-            
-            if (this.placeholder && this.placeholder.parentNode) {
-              this.placeholder.remove()
-            }
-            
-            this.draggedElement = null
-            this.placeholder = null
-          })
+        const preferences = readFocusPreferences()
+        preferences[name] = e.target.checked
+        writeFocusPreferences(preferences)
+        
+        if (name === "notifications" && e.target.checked) this.requestPermission()
+        // Playing the chime once from this click also unlocks audio in browsers
+        // that only allow sound after a user gesture
+        if (name === "sound" && e.target.checked) playChime()
+        
+        window.dispatchEvent(new CustomEvent("focus-preferences-changed"))
+      }
+      this.el.addEventListener("change", this.onChange)
+    },
+    
+    destroyed() {
+      this.el.removeEventListener("change", this.onChange)
+    },
+    
+    requestPermission() {
+      if (!("Notification" in window)) {
+        this.disableNotifications(t("Notifications are not supported in this browser"))
+        return
+      }
+      
+      Notification.requestPermission().then((permission) => {
+        if (permission !== "granted") {
+          this.disableNotifications(t("Notifications are blocked for this site"))
         }
       })
+    },
+    
+    disableNotifications(reason) {
+      const preferences = readFocusPreferences()
+      preferences.notifications = false
+      writeFocusPreferences(preferences)
+      this.render()
+      
+      if (this.hint) {
+        this.hint.textContent = reason
+        this.hint.classList.remove("hidden")
+      }
+    },
+    
+    render() {
+      const preferences = readFocusPreferences()
+      this.inputs.forEach((input) => {
+        input.checked = !!preferences[input.dataset.preference]
+      })
     }
   },
   FocusCountdown: {
     mounted() {
-      this.endTime = parseInt(this.el.dataset.endTime);
-      this.updateTimer();
-      this.interval = setInterval(() => this.updateTimer(), 1000);
+      this.baseTitle = document.title
+      this.onPreferencesChanged = () => this.updateTimer()
+      window.addEventListener("focus-preferences-changed", this.onPreferencesChanged)
+      
+      this.readTimer()
+      this.tick()
+    },
+    
+    updated() {
+      // Pause/resume re-render the data attributes
+      this.readTimer()
+      this.tick()
+    },
+    
+    reconnected() {
+      // The server is the source of truth after a reconnect, not our own clock
+      this.pushEvent("sync_focus_timer", {}, (reply) => {
+        this.endTime = reply.end_time
+        this.paused = reply.paused
+        this.remaining = reply.remaining
+        this.clockOffset = reply.server_now - Date.now() / 1000
+        this.tick()
+      })
     },
     
     destroyed() {
-      if (this.interval) {
-        clearInterval(this.interval);
-      }
+      clearTimeout(this.timeout)
+      window.removeEventListener("focus-preferences-changed", this.onPreferencesChanged)
+      this.restoreTitle()
+    },
+    
+    readTimer() {
+      this.endTime = parseInt(this.el.dataset.endTime)
+      this.paused = this.el.dataset.paused === "true"
+      this.remaining = parseInt(this.el.dataset.remaining)
+      
+      // Offset between the server's clock and ours, so a skewed device clock
+      // does not show the wrong time
+      const serverNow = parseInt(this.el.dataset.serverNow)
+      this.clockOffset = isNaN(serverNow) ? 0 : serverNow - Date.now() / 1000
+    },
+    
+    now() {
+      return Date.now() / 1000 + this.clockOffset
+    },
+    
+    // Schedule each tick for the next full second rather than on a fixed
+    // interval, which drifts and skips seconds in background tabs
+    tick() {
+      clearTimeout(this.timeout)
+      this.updateTimer()
+      
+      if (this.paused || !this.endTime || this.endTime <= Math.floor(this.now())) return
+      
+      const msToNextSecond = 1000 - Math.floor((this.now() * 1000) % 1000)
+      this.timeout = setTimeout(() => this.tick(), msToNextSecond + 10)
     },
     
     updateTimer() {
-      const now = Math.floor(Date.now() / 1000);
-      const remaining = Math.max(0, this.endTime - now);
+      let remaining
+      if (this.paused) {
+        remaining = this.remaining || 0
+      } else if (this.endTime) {
+        remaining = Math.max(0, this.endTime - Math.floor(this.now()))
+      } else {
+        this.el.textContent = "--:--"
+        this.restoreTitle()
+        return
+      }
       
-      if (remaining <= 0) {
-        this.el.textContent = "00:00";
-        if (this.interval) {
-          clearInterval(this.interval);
-        }
-        return;
+      const minutes = Math.floor(remaining / 60)
+      const seconds = remaining % 60
+      this.el.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+      this.updateTitle()
+    },
+    
+    // Shows the countdown in the tab title, so it stays visible from other tabs
+    updateTitle() {
+      // LiveView may have set a new page title since our last update
+      if (document.title !== this.countdownTitle) this.baseTitle = document.title
+      
+      if (!readFocusPreferences().titleCountdown) {
+        this.restoreTitle()
+        return
       }
       
-      const minutes = Math.floor(remaining / 60);
-      const seconds = remaining % 60;
-      this.el.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+      const prefix = this.paused ? `⏸ ${this.el.textContent}` : this.el.textContent
+      this.countdownTitle = `${prefix} · ${this.baseTitle}`
+      document.title = this.countdownTitle
+    },
+    
+    restoreTitle() {
+      if (this.countdownTitle && document.title === this.countdownTitle) {
+        document.title = this.baseTitle
+      }
+      this.countdownTitle = null
     }
   }
 }
@@ -280,7 +1919,13 @@ const Hooks = {
 const csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content")
 const liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
-  params: {_csrf_token: csrfToken, client_id: window.clientId},
+  // A function, so a rejoin after a reconnect sends the current display name
+  params: () => ({
+    _csrf_token: csrfToken,
+    client_id: window.clientId,
+    display_name: readDisplayName(),
+    visited_lists: readVisitedLists().map(list => list.id)
+  }),
   hooks: {...colocatedHooks, ...Hooks},
 })
 
@@ -289,34 +1934,203 @@ topbar.config({barColors: {0: "#29d"}, shadowColor: "rgba(0, 0, 0, .3)"})
 window.addEventListener("phx:page-loading-start", _info => topbar.show(300))
 window.addEventListener("phx:page-loading-stop", _info => topbar.hide())
 
+// Toasts stack in the top right corner. Only a few are shown at once, the rest
+// wait in a queue until a visible one goes away
+const TOAST_LIMIT = 3
+const TOAST_DURATIONS = {info: 4000, success: 4000, warning: 6000, error: 8000}
+const TOAST_CLASSES = {
+  info: "alert-info",
+  success: "alert-success",
+  warning: "alert-warning",
+  error: "alert-error"
+}
+const toastQueue = []
+let visibleToasts = 0
+
+function toastStack() {
+  let stack = document.getElementById("toast-stack")
+  if (!stack) {
+    stack = document.createElement("div")
+    stack.id = "toast-stack"
+    stack.className = "fixed top-4 right-4 z-50 flex flex-col items-end gap-2 w-80 max-w-[calc(100vw-2rem)]"
+    stack.setAttribute("aria-live", "polite")
+    document.body.appendChild(stack)
+  }
+  return stack
+}
+
+// Options: severity (info, success, warning or error), duration in ms where 0
+// keeps the toast until it is closed, and actions as {label, event, value}
+// that are pushed to the LiveView on the page
+function showToast(message, options = {}) {
+  toastQueue.push({message, ...options})
+  showQueuedToasts()
+}
+
+function showQueuedToasts() {
+  while (visibleToasts < TOAST_LIMIT && toastQueue.length > 0) {
+    renderToast(toastQueue.shift())
+  }
+}
+
+function renderToast({message, severity = "info", duration, actions = []}) {
+  const toast = document.createElement("div")
+  toast.className = `alert ${TOAST_CLASSES[severity] || TOAST_CLASSES.info} shadow-lg w-full transition-all duration-300 translate-x-full opacity-0`
+  toast.setAttribute("role", severity === "error" ? "alert" : "status")
+  
+  const text = document.createElement("span")
+  text.className = "flex-1"
+  text.textContent = message
+  toast.appendChild(text)
+  
+  actions.forEach(action => {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "btn btn-xs"
+    button.textContent = action.label
+    button.addEventListener("click", () => {
+      pushToLiveView(action.event, action.value || {})
+      dismiss()
+    })
+    toast.appendChild(button)
+  })
+  
+  const close = document.createElement("button")
+  close.type = "button"
+  close.className = "btn btn-xs btn-ghost"
+  close.setAttribute("aria-label", t("Dismiss"))
+  close.textContent = "✕"
+  close.addEventListener("click", () => dismiss())
+  toast.appendChild(close)
+  
+  toastStack().appendChild(toast)
+  visibleToasts++
+  setTimeout(() => toast.classList.remove("translate-x-full", "opacity-0"), 20)
+  
+  // The lifetime pauses while the pointer is over the toast
+  let remaining = duration ?? TOAST_DURATIONS[severity] ?? TOAST_DURATIONS.info
+  let timer = null
+  let startedAt = null
+  let dismissed = false
+  
+  const resume = () => {
+    if (remaining <= 0) return
+    startedAt = Date.now()
+    timer = setTimeout(dismiss, remaining)
+  }
+  const pause = () => {
+    if (!timer) return
+    clearTimeout(timer)
+    timer = null
+    remaining -= Date.now() - startedAt
+  }
+  
+  function dismiss() {
+    if (dismissed) return
+    dismissed = true
+    clearTimeout(timer)
+    toast.classList.add("translate-x-full", "opacity-0")
+    setTimeout(() => {
+      toast.remove()
+      visibleToasts--
+      showQueuedToasts()
+    }, 300)
+  }
+  
+  toast.addEventListener("mouseenter", pause)
+  toast.addEventListener("mouseleave", resume)
+  resume()
+}
+
+// Pushes an event to the page's LiveView without needing a hook
+function pushToLiveView(event, value) {
+  const view = document.querySelector("[data-phx-main]")
+  if (view) liveSocket.execJS(view, JSON.stringify([["push", {event, value}]]))
+}
+
+// LiveViews show toasts with push_event(socket, "toast", %{message: ...})
+window.addEventListener("phx:toast", (e) => {
+  const {message, ...options} = e.detail
+  showToast(message, options)
+})
+
 // Handle focus timer completion
 window.addEventListener("phx:focus-complete", (e) => {
   // Reset body background
-  document.body.style.backgroundColor = "";
+  document.body.style.backgroundColor = ""
   
   // Show completion message
-  const message = e.detail.message || "Focus time complete!";
-  
-  // Create a temporary toast notification
-  const toast = document.createElement("div");
-  toast.className = "fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 transform transition-all duration-300 translate-x-full";
-  toast.textContent = message;
+  const message = e.detail.message || t("Focus time complete!")
+  showToast(message, {severity: "success"})
+  alertFocusEvent(message, e.detail.item_id)
+})
+
+// Pomodoro phases advance on the server, these only tell the user about it
+window.addEventListener("phx:break-started", (e) => {
+  const cycles = e.detail.completed_cycles
+  const minutes = Math.round(e.detail.seconds / 60)
+  const message = e.detail.message || t("Time for a break")
   
-  document.body.appendChild(toast);
+  const summary = tn(
+    "%{minutes} min · %{count} cycle done",
+    "%{minutes} min · %{count} cycles done",
+    cycles,
+    {minutes: minutes}
+  )
   
-  // Slide in
-  setTimeout(() => toast.classList.remove("translate-x-full"), 100);
+  showToast(`${message} (${summary})`, {severity: "success"})
+  alertFocusEvent(message, e.detail.item_id)
+})
+
+window.addEventListener("phx:break-over", (e) => {
+  const message = e.detail.message || t("Break over, back to focus!")
   
-  // Slide out and remove after 3 seconds
-  setTimeout(() => {
-    toast.classList.add("translate-x-full");
-    setTimeout(() => document.body.removeChild(toast), 300);
-  }, 3000);
+  showToast(message, {severity: "info"})
+  alertFocusEvent(message, e.detail.item_id)
 })
 
+// Live navigation from the landing page to a list doesn't reload the page
+rememberVisitedList()
+window.addEventListener("phx:page-loading-stop", rememberVisitedList)
+
 // connect if there are any LiveViews on the page
 liveSocket.connect()
 
+// Lets the installed app open visited lists while offline, see priv/static/sw.js
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/sw.js").catch((err) => {
+    console.error("Service worker registration failed: ", err)
+  })
+}
+
+// A page that has never connected was served from the service worker cache
+// and stays read-only. Once connected, going offline only queues changes
+let socketConnected = false
+
+function setOfflineState(state) {
+  if (state) {
+    document.documentElement.dataset.offline = state
+  } else {
+    delete document.documentElement.dataset.offline
+  }
+}
+
+function markOffline() {
+  setOfflineState(socketConnected ? "queue" : "shell")
+}
+
+if (!navigator.onLine) markOffline()
+window.addEventListener("offline", markOffline)
+
+liveSocket.getSocket().onOpen(() => {
+  socketConnected = true
+  setOfflineState(null)
+})
+
+liveSocket.getSocket().onError(() => {
+  if (!socketConnected || !navigator.onLine) markOffline()
+})
+
 // expose liveSocket on window for web console debug logs and latency simulation:
 // >> liveSocket.enableDebug()
 // >> liveSocket.enableLatencySim(1000)  // enabled for duration of browser session
@@ -12,6 +12,7 @@ defmodule TodoLister.Application do
       TodoLister.Repo,
       {DNSCluster, query: Application.get_env(:todo_lister, :dns_cluster_query) || :ignore},
       {Phoenix.PubSub, name: TodoLister.PubSub},
+      TodoListerWeb.Presence,
       # Start a worker by calling: TodoLister.Worker.start_link(arg)
       # {TodoLister.Worker, arg},
       # Start to serve requests, typically the last entry
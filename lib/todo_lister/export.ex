@@ -0,0 +1,133 @@
+defmodule TodoLister.Export do
+  @moduledoc """
+  Exports a todo list with its items as Markdown, CSV or JSON.
+
+  Markdown is a checklist that keeps the status of each item: `[ ]` for todo,
+  `[x]` for done and `[-]` for won't do. CSV and JSON also carry each item's
+  order and timestamps.
+  """
+
+  alias TodoLister.TodoList
+
+  @formats %{
+    "md" => "text/markdown",
+    "csv" => "text/csv",
+    "json" => "application/json"
+  }
+
+  @csv_columns ~w(id order text status inserted_at updated_at)
+
+  @doc """
+  Returns the supported export formats, by file extension.
+  """
+  def formats, do: Map.keys(@formats)
+
+  @doc """
+  Returns the content type of an export format.
+  """
+  def content_type(format), do: Map.fetch!(@formats, format)
+
+  @doc """
+  Returns the file name for exporting a todo list in a format, based on its title.
+
+  ## Examples
+
+      iex> filename(%TodoList{title: "Groceries & more"}, "md")
+      "groceries-more.md"
+
+  """
+  def filename(%TodoList{title: title}, format) do
+    slug =
+      title
+      |> String.downcase()
+      |> String.replace(~r/[^a-z0-9]+/u, "-")
+      |> String.trim("-")
+
+    if slug == "", do: "todo-list.#{format}", else: "#{slug}.#{format}"
+  end
+
+  @doc """
+  Exports a todo list and its items, in their list order, to a format.
+
+  ## Examples
+
+      iex> export(todo_list, todo_items, "md")
+      {:ok, "# Groceries\\n\\n- [ ] Milk\\n"}
+
+      iex> export(todo_list, todo_items, "pdf")
+      {:error, :unknown_format}
+
+  """
+  def export(todo_list, todo_items, "md"), do: {:ok, to_markdown(todo_list, todo_items)}
+  def export(_todo_list, todo_items, "csv"), do: {:ok, to_csv(todo_items)}
+  def export(todo_list, todo_items, "json"), do: {:ok, to_json(todo_list, todo_items)}
+  def export(_todo_list, _todo_items, _format), do: {:error, :unknown_format}
+
+  defp to_markdown(todo_list, todo_items) do
+    items = Enum.map(todo_items, &"- [#{checkbox(&1.status)}] #{&1.text}\n")
+    IO.iodata_to_binary(["# ", todo_list.title, "\n\n" | items])
+  end
+
+  defp checkbox(:todo), do: " "
+  defp checkbox(:done), do: "x"
+  defp checkbox(:wont_do), do: "-"
+
+  defp to_csv(todo_items) do
+    rows =
+      Enum.map(todo_items, fn item ->
+        [
+          item.id,
+          item.order,
+          item.text,
+          item.status,
+          timestamp(item.inserted_at),
+          timestamp(item.updated_at)
+        ]
+      end)
+
+    [@csv_columns | rows]
+    |> Enum.map(fn row -> [Enum.map_join(row, ",", &csv_field/1), "\r\n"] end)
+    |> IO.iodata_to_binary()
+  end
+
+  # Quoted when needed, with quotes doubled as RFC 4180 asks
+  defp csv_field(value) do
+    value = to_string(value)
+
+    if String.contains?(value, [",", "\"", "\r", "\n"]) do
+      "\"" <> String.replace(value, "\"", "\"\"") <> "\""
+    else
+      value
+    end
+  end
+
+  defp to_json(todo_list, todo_items) do
+    Jason.encode!(
+      %{
+        id: todo_list.id,
+        title: todo_list.title,
+        inserted_at: timestamp(todo_list.inserted_at),
+        updated_at: timestamp(todo_list.updated_at),
+        items:
+          Enum.map(todo_items, fn item ->
+            %{
+              id: item.id,
+              order: item.order,
+              text: item.text,
+              status: item.status,
+              inserted_at: timestamp(item.inserted_at),
+              updated_at: timestamp(item.updated_at)
+            }
+          end)
+      },
+      pretty: true
+    )
+  end
+
+  # Timestamps are stored as naive UTC datetimes
+  defp timestamp(naive_datetime) do
+    naive_datetime
+    |> DateTime.from_naive!("Etc/UTC")
+    |> DateTime.to_iso8601()
+  end
+end
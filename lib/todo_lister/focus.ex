@@ -0,0 +1,348 @@
+defmodule TodoLister.Focus do
+  @moduledoc """
+  The Focus context for focus timers that survive page reloads and reconnects.
+
+  Each client has at most one focus timer per todo item, and only one of its
+  timers on a list runs at a time. A running timer keeps its `ends_at`, a
+  paused one keeps the seconds that were left when it paused.
+
+  A timer can also run Pomodoro cycles: work phases alternate with short
+  breaks, and every `long_break_every` completed work phases earn a long break.
+
+  Every completed or stopped run of focused work is kept as a focus session, so
+  the time spent on each item adds up.
+  """
+
+  import Ecto.Query, warn: false
+  alias TodoLister.Repo
+  alias TodoLister.{FocusSession, FocusTimer, History, TodoItem}
+
+  @pomodoro_fields [
+    :phase,
+    :work_seconds,
+    :short_break_seconds,
+    :long_break_seconds,
+    :long_break_every,
+    :completed_cycles
+  ]
+
+  @doc """
+  Gets the focus timer a client has on a todo list: the running one, or else
+  the one paused last.
+
+  ## Examples
+
+      iex> get_focus_timer(todo_list_id, client_id)
+      %FocusTimer{}
+
+      iex> get_focus_timer(todo_list_id, nil)
+      nil
+
+  """
+  def get_focus_timer(_todo_list_id, nil), do: nil
+
+  def get_focus_timer(todo_list_id, client_id) do
+    Repo.one(
+      from ft in FocusTimer,
+        where: ft.todo_list_id == ^todo_list_id and ft.client_id == ^client_id,
+        order_by: [desc: ft.status == :running, desc: ft.updated_at],
+        limit: 1
+    )
+  end
+
+  @doc """
+  Starts a focus timer on a todo item, replacing the client's previous timer
+  on the same item. A timer the client has running on another item of the
+  list is paused. Pass a Pomodoro (see `new_pomodoro/4`) to run cycles
+  instead of a single countdown.
+
+  ## Examples
+
+      iex> start_focus_timer(todo_item, client_id, 300)
+      {:ok, %FocusTimer{}}
+
+      iex> start_focus_timer(todo_item, client_id, 1500, pomodoro)
+      {:ok, %FocusTimer{phase: :work}}
+
+  """
+  def start_focus_timer(todo_item, client_id, seconds, pomodoro \\ nil) do
+    attrs =
+      Map.merge(pomodoro_attrs(pomodoro), %{
+        client_id: client_id,
+        todo_list_id: todo_item.todo_list_id,
+        todo_item_id: todo_item.id,
+        status: :running,
+        duration_seconds: seconds,
+        remaining_seconds: seconds,
+        ends_at: seconds_from_now(seconds)
+      })
+
+    Repo.transaction(fn ->
+      pause_other_focus_timers(todo_item, client_id)
+
+      %FocusTimer{}
+      |> FocusTimer.changeset(attrs)
+      |> Repo.insert(
+        on_conflict: {:replace_all_except, [:id, :inserted_at]},
+        conflict_target: [:todo_item_id, :client_id],
+        returning: true
+      )
+      |> case do
+        {:ok, focus_timer} -> focus_timer
+        {:error, changeset} -> Repo.rollback(changeset)
+      end
+    end)
+  end
+
+  @doc """
+  Pauses a running focus timer, keeping the seconds that are left.
+  """
+  def pause_focus_timer(%FocusTimer{status: :running} = focus_timer) do
+    focus_timer
+    |> FocusTimer.changeset(%{
+      status: :paused,
+      remaining_seconds: remaining_seconds(focus_timer),
+      ends_at: nil
+    })
+    |> Repo.update()
+  end
+
+  def pause_focus_timer(%FocusTimer{} = focus_timer), do: {:ok, focus_timer}
+
+  @doc """
+  Resumes a paused focus timer from the seconds that were left.
+  """
+  def resume_focus_timer(%FocusTimer{status: :paused} = focus_timer) do
+    focus_timer
+    |> FocusTimer.changeset(%{
+      status: :running,
+      ends_at: seconds_from_now(focus_timer.remaining_seconds)
+    })
+    |> Repo.update()
+  end
+
+  def resume_focus_timer(%FocusTimer{} = focus_timer), do: {:ok, focus_timer}
+
+  @doc """
+  Starts the next phase of a Pomodoro on a running focus timer.
+
+  Only the run the caller saw is advanced: when the timer was paused,
+  restarted or already advanced meanwhile, for example by another tab of
+  the same client, `{:error, :stale}` is returned and nothing changes.
+  """
+  def start_pomodoro_phase(%FocusTimer{status: :running} = focus_timer, pomodoro) do
+    seconds = phase_seconds(pomodoro)
+
+    changes =
+      Map.merge(pomodoro_attrs(pomodoro), %{
+        duration_seconds: seconds,
+        remaining_seconds: seconds,
+        ends_at: seconds_from_now(seconds),
+        updated_at: NaiveDateTime.truncate(NaiveDateTime.utc_now(), :second)
+      })
+
+    focus_timer
+    |> same_run_query()
+    |> select([ft], ft)
+    |> Repo.update_all(set: Map.to_list(changes))
+    |> case do
+      {1, [updated]} -> {:ok, updated}
+      {0, _} -> {:error, :stale}
+    end
+  end
+
+  def start_pomodoro_phase(%FocusTimer{}, _pomodoro), do: {:error, :stale}
+
+  @doc """
+  Removes a running focus timer whose countdown ran out.
+
+  Like `start_pomodoro_phase/2` this only succeeds for the run the caller
+  saw, so a completion is only recorded once even when several views of the
+  client count down the same timer.
+  """
+  def complete_focus_timer(%FocusTimer{status: :running} = focus_timer) do
+    case focus_timer |> same_run_query() |> Repo.delete_all() do
+      {1, _} -> {:ok, focus_timer}
+      {0, _} -> {:error, :stale}
+    end
+  end
+
+  def complete_focus_timer(%FocusTimer{}), do: {:error, :stale}
+
+  @doc """
+  Builds a Pomodoro that starts with a work phase.
+
+  ## Examples
+
+      iex> new_pomodoro(1500, 300, 900, 4)
+      %{phase: :work, completed_cycles: 0, work_seconds: 1500, ...}
+
+  """
+  def new_pomodoro(work_seconds, short_break_seconds, long_break_seconds, long_break_every) do
+    %{
+      phase: :work,
+      work_seconds: work_seconds,
+      short_break_seconds: short_break_seconds,
+      long_break_seconds: long_break_seconds,
+      long_break_every: long_break_every,
+      completed_cycles: 0
+    }
+  end
+
+  @doc """
+  Returns the Pomodoro a focus timer is running, or nil for a single countdown.
+  """
+  def pomodoro(%FocusTimer{phase: nil}), do: nil
+  def pomodoro(%FocusTimer{} = focus_timer), do: Map.take(focus_timer, @pomodoro_fields)
+
+  @doc """
+  Moves a Pomodoro on to its next phase.
+
+  A finished work phase completes a cycle and is followed by a break, a long
+  one every `long_break_every` cycles. A finished break goes back to work.
+
+  ## Examples
+
+      iex> advance_pomodoro(%{phase: :work, completed_cycles: 3, long_break_every: 4, ...})
+      %{phase: :long_break, completed_cycles: 4, ...}
+
+      iex> advance_pomodoro(%{phase: :short_break, ...})
+      %{phase: :work, ...}
+
+  """
+  def advance_pomodoro(%{phase: :work} = pomodoro) do
+    completed_cycles = pomodoro.completed_cycles + 1
+
+    phase =
+      if rem(completed_cycles, pomodoro.long_break_every) == 0,
+        do: :long_break,
+        else: :short_break
+
+    %{pomodoro | phase: phase, completed_cycles: completed_cycles}
+  end
+
+  def advance_pomodoro(pomodoro), do: %{pomodoro | phase: :work}
+
+  @doc """
+  Returns how many seconds the current phase of a Pomodoro lasts.
+  """
+  def phase_seconds(%{phase: :work, work_seconds: seconds}), do: seconds
+  def phase_seconds(%{phase: :short_break, short_break_seconds: seconds}), do: seconds
+  def phase_seconds(%{phase: :long_break, long_break_seconds: seconds}), do: seconds
+
+  @doc """
+  Deletes a focus timer once it has completed or was stopped.
+  """
+  def delete_focus_timer(%FocusTimer{id: id}) do
+    Repo.delete_all(from ft in FocusTimer, where: ft.id == ^id)
+    :ok
+  end
+
+  @doc """
+  Returns the seconds left on a focus timer.
+  """
+  def remaining_seconds(%FocusTimer{status: :paused, remaining_seconds: remaining}), do: remaining
+
+  def remaining_seconds(%FocusTimer{ends_at: ends_at}) do
+    max(0, NaiveDateTime.diff(ends_at, NaiveDateTime.utc_now()))
+  end
+
+  @doc """
+  Returns the unix time a running focus timer ends at, or nil when paused.
+  """
+  def end_time(%FocusTimer{status: :running, ends_at: ends_at}) do
+    ends_at |> DateTime.from_naive!("Etc/UTC") |> DateTime.to_unix()
+  end
+
+  def end_time(%FocusTimer{}), do: nil
+
+  @doc """
+  Records a focus session on a todo item. Breaks are not focus sessions.
+
+  History is recorded when client_id is provided.
+
+  ## Examples
+
+      iex> record_focus_session(todo_item, client_id, 1500, 1500, :completed)
+      {:ok, %FocusSession{}}
+
+      iex> record_focus_session(todo_item, client_id, 1500, 0, :stopped)
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def record_focus_session(todo_item, client_id, planned_seconds, actual_seconds, outcome) do
+    result =
+      %FocusSession{}
+      |> FocusSession.changeset(%{
+        client_id: client_id,
+        todo_list_id: todo_item.todo_list_id,
+        todo_item_id: todo_item.id,
+        outcome: outcome,
+        planned_seconds: planned_seconds,
+        actual_seconds: actual_seconds
+      })
+      |> Repo.insert()
+
+    case result do
+      {:ok, focus_session} ->
+        if client_id do
+          History.record_focus_session(focus_session, todo_item, client_id)
+        end
+
+        {:ok, focus_session}
+
+      error ->
+        error
+    end
+  end
+
+  @doc """
+  Returns the total focused seconds per todo item of a todo list. Sessions
+  follow their item when it moves to another list.
+
+  ## Examples
+
+      iex> focused_seconds_by_item(todo_list_id)
+      %{"item-id" => 1800}
+
+  """
+  def focused_seconds_by_item(todo_list_id) do
+    from(fs in FocusSession,
+      join: ti in TodoItem,
+      on: ti.id == fs.todo_item_id,
+      where: ti.todo_list_id == ^todo_list_id,
+      group_by: fs.todo_item_id,
+      select: {fs.todo_item_id, sum(fs.actual_seconds)}
+    )
+    |> Repo.all()
+    |> Map.new()
+  end
+
+  defp pause_other_focus_timers(todo_item, client_id) do
+    from(ft in FocusTimer,
+      where:
+        ft.todo_list_id == ^todo_item.todo_list_id and ft.client_id == ^client_id and
+          ft.todo_item_id != ^todo_item.id and ft.status == :running
+    )
+    |> Repo.all()
+    |> Enum.each(&pause_focus_timer/1)
+  end
+
+  defp pomodoro_attrs(nil) do
+    @pomodoro_fields |> Map.new(&{&1, nil}) |> Map.put(:completed_cycles, 0)
+  end
+
+  defp pomodoro_attrs(pomodoro), do: Map.take(pomodoro, @pomodoro_fields)
+
+  # A timer that is still running with the same end time was not touched since
+  defp same_run_query(%FocusTimer{id: id, ends_at: ends_at}) do
+    from ft in FocusTimer,
+      where: ft.id == ^id and ft.status == :running and ft.ends_at == ^ends_at
+  end
+
+  defp seconds_from_now(seconds) do
+    NaiveDateTime.utc_now()
+    |> NaiveDateTime.add(seconds)
+    |> NaiveDateTime.truncate(:second)
+  end
+end
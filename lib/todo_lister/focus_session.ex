@@ -0,0 +1,43 @@
+defmodule TodoLister.FocusSession do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "focus_sessions" do
+    field :client_id, :string
+    field :outcome, Ecto.Enum, values: [:completed, :stopped]
+    field :planned_seconds, :integer
+    field :actual_seconds, :integer
+
+    belongs_to :todo_list, TodoLister.TodoList
+    belongs_to :todo_item, TodoLister.TodoItem
+
+    timestamps()
+  end
+
+  @doc false
+  def changeset(focus_session, attrs) do
+    focus_session
+    |> cast(attrs, [
+      :client_id,
+      :outcome,
+      :planned_seconds,
+      :actual_seconds,
+      :todo_list_id,
+      :todo_item_id
+    ])
+    |> validate_required([
+      :outcome,
+      :planned_seconds,
+      :actual_seconds,
+      :todo_list_id,
+      :todo_item_id
+    ])
+    |> validate_number(:planned_seconds, greater_than: 0)
+    |> validate_number(:actual_seconds, greater_than: 0)
+    |> foreign_key_constraint(:todo_list_id)
+    |> foreign_key_constraint(:todo_item_id)
+  end
+end
@@ -0,0 +1,63 @@
+defmodule TodoLister.FocusTimer do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "focus_timers" do
+    field :client_id, :string
+    field :status, Ecto.Enum, values: [:running, :paused], default: :running
+    field :duration_seconds, :integer
+    field :remaining_seconds, :integer
+    field :ends_at, :naive_datetime
+
+    # Pomodoro cycles; phase stays nil for a single countdown
+    field :phase, Ecto.Enum, values: [:work, :short_break, :long_break]
+    field :work_seconds, :integer
+    field :short_break_seconds, :integer
+    field :long_break_seconds, :integer
+    field :long_break_every, :integer
+    field :completed_cycles, :integer, default: 0
+
+    belongs_to :todo_list, TodoLister.TodoList
+    belongs_to :todo_item, TodoLister.TodoItem
+
+    timestamps()
+  end
+
+  @doc false
+  def changeset(focus_timer, attrs) do
+    focus_timer
+    |> cast(attrs, [
+      :client_id,
+      :status,
+      :duration_seconds,
+      :remaining_seconds,
+      :ends_at,
+      :phase,
+      :work_seconds,
+      :short_break_seconds,
+      :long_break_seconds,
+      :long_break_every,
+      :completed_cycles,
+      :todo_list_id,
+      :todo_item_id
+    ])
+    |> validate_required([
+      :client_id,
+      :status,
+      :duration_seconds,
+      :remaining_seconds,
+      :todo_list_id,
+      :todo_item_id
+    ])
+    |> validate_number(:duration_seconds, greater_than: 0)
+    |> validate_number(:remaining_seconds, greater_than_or_equal_to: 0)
+    |> validate_number(:long_break_every, greater_than: 0)
+    |> validate_number(:completed_cycles, greater_than_or_equal_to: 0)
+    |> foreign_key_constraint(:todo_list_id)
+    |> foreign_key_constraint(:todo_item_id)
+    |> unique_constraint([:todo_item_id, :client_id])
+  end
+end
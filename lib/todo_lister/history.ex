@@ -95,6 +95,23 @@ defmodule TodoLister.History do
     })
   end
 
+  @doc """
+  Records how a client settled its edit of a todo item clashing with another
+  client's, keeping all three versions of the text.
+  """
+  def record_item_conflict_resolved(todo_item, conflict, resolution, client_id) do
+    create_history("item_conflict_resolved", client_id, %{
+      todo_list_id: todo_item.todo_list_id,
+      todo_item_id: todo_item.id,
+      old_data: %{
+        text: conflict.remote,
+        original_text: conflict.original,
+        local_text: conflict.local
+      },
+      new_data: %{text: todo_item.text, resolution: resolution}
+    })
+  end
+
   @doc """
   Records a todo item status update.
   """
@@ -124,15 +141,111 @@ defmodule TodoLister.History do
   end
 
   @doc """
-  Records bulk item reordering.
+  Records a todo item moving to another list, with one entry on each list.
+  """
+  def record_item_moved(todo_item, from_list, to_list, client_id) do
+    with {:ok, moved_out} <-
+           create_history("item_moved_out", client_id, %{
+             todo_list_id: from_list.id,
+             todo_item_id: todo_item.id,
+             old_data: %{todo_list_id: from_list.id, text: todo_item.text},
+             new_data: %{todo_list_id: to_list.id, todo_list_title: to_list.title}
+           }),
+         {:ok, moved_in} <-
+           create_history("item_moved_in", client_id, %{
+             todo_list_id: to_list.id,
+             todo_item_id: todo_item.id,
+             old_data: %{todo_list_id: from_list.id, todo_list_title: from_list.title},
+             new_data: %{todo_list_id: to_list.id, text: todo_item.text, order: todo_item.order}
+           }) do
+      {:ok, {moved_out, moved_in}}
+    end
+  end
+
+  @doc """
+  Records several items created at once, such as tasks pasted as a list.
+  """
+  def record_items_created(todo_list_id, todo_items, client_id) do
+    create_history("items_created", client_id, %{
+      todo_list_id: todo_list_id,
+      new_data: %{
+        items: Enum.map(todo_items, &%{id: &1.id, text: &1.text, status: &1.status})
+      }
+    })
+  end
+
+  @doc """
+  Records bulk item reordering, with the previous orders when given so the
+  reordering can be undone.
   """
-  def record_items_reordered(todo_list_id, reorder_data, client_id) do
+  def record_items_reordered(todo_list_id, reorder_data, client_id, previous_data \\ nil) do
     create_history("items_reordered", client_id, %{
       todo_list_id: todo_list_id,
+      old_data: previous_data && %{reorder_data: previous_data},
       new_data: %{reorder_data: reorder_data}
     })
   end
 
+  @doc """
+  Records that a client undid an earlier change, keeping a copy of the change.
+  """
+  def record_change_undone(todo_list_id, change, client_id) do
+    create_history("change_undone", client_id, %{
+      todo_list_id: todo_list_id,
+      todo_item_id: change.todo_item_id,
+      new_data: undo_data(change.id, change)
+    })
+  end
+
+  @doc """
+  Records that a client redid a change it had undone before.
+  """
+  def record_change_redone(todo_list_id, undo_entry_id, change, client_id) do
+    create_history("change_redone", client_id, %{
+      todo_list_id: todo_list_id,
+      todo_item_id: change.todo_item_id,
+      new_data: undo_data(undo_entry_id, change)
+    })
+  end
+
+  @doc """
+  Records that a client's undo could not revert an earlier change, so the next
+  undo moves on to the change before it.
+  """
+  def record_change_skipped(todo_list_id, change, client_id) do
+    create_history("change_skipped", client_id, %{
+      todo_list_id: todo_list_id,
+      todo_item_id: change.todo_item_id,
+      new_data: undo_data(change.id, change)
+    })
+  end
+
+  defp undo_data(history_id, change) do
+    %{
+      history_id: history_id,
+      change_type: change.change_type,
+      todo_item_id: change.todo_item_id,
+      old_data: change.old_data,
+      new_data: change.new_data
+    }
+  end
+
+  @doc """
+  Records a finished focus session on a todo item.
+  """
+  def record_focus_session(focus_session, todo_item, client_id) do
+    create_history("focus_session", client_id, %{
+      todo_list_id: focus_session.todo_list_id,
+      todo_item_id: focus_session.todo_item_id,
+      new_data: %{
+        text: todo_item.text,
+        outcome: to_string(focus_session.outcome),
+        planned_seconds: focus_session.planned_seconds,
+        actual_seconds: focus_session.actual_seconds
+      }
+    })
+  end
+
   @doc """
   Gets the history for a todo list, ordered by most recent first.
 
@@ -147,13 +260,34 @@ defmodule TodoLister.History do
 
     from(h in TodoListHistory,
       where: h.todo_list_id == ^todo_list_id,
-      order_by: [desc: h.inserted_at],
+      order_by: [desc: h.inserted_at, desc: h.sequence],
       limit: ^limit,
       preload: [:todo_item]
     )
     |> Repo.all()
   end
 
+  @doc """
+  Gets a client's history on one todo list, in the exact reverse order the
+  changes happened.
+
+  ## Examples
+
+      iex> get_client_list_history(todo_list_id, client_id)
+      [%TodoListHistory{}, ...]
+
+  """
+  def get_client_list_history(todo_list_id, client_id, opts \\ []) do
+    limit = Keyword.get(opts, :limit, 100)
+
+    from(h in TodoListHistory,
+      where: h.todo_list_id == ^todo_list_id and h.client_id == ^client_id,
+      order_by: [desc: h.sequence],
+      limit: ^limit
+    )
+    |> Repo.all()
+  end
+
   @doc """
   Gets the history for a specific todo item.
 
@@ -7,6 +7,7 @@ defmodule TodoLister.Lists do
   alias TodoLister.Repo
   alias TodoLister.TodoList
   alias TodoLister.TodoItem
+  alias TodoLister.TodoListHistory
   alias TodoLister.History
 
   @doc """
@@ -40,6 +41,113 @@ defmodule TodoLister.Lists do
     Repo.one!(from tl in TodoList, where: tl.id == ^id and is_nil(tl.deleted_at))
   end
 
+  @doc """
+  Gets a single todo_list.
+
+  Returns `nil` if the Todo list does not exist, was deleted or the id is
+  not a valid UUID.
+
+  ## Examples
+
+      iex> get_todo_list(123)
+      %TodoList{}
+
+      iex> get_todo_list(456)
+      nil
+
+  """
+  def get_todo_list(id) do
+    case Ecto.UUID.cast(id) do
+      {:ok, uuid} ->
+        Repo.one(from tl in TodoList, where: tl.id == ^uuid and is_nil(tl.deleted_at))
+
+      :error ->
+        nil
+    end
+  end
+
+  @doc """
+  Returns the todo_lists a client has changed, most recently changed first.
+
+  Pass `created: true` to only return the lists the client created.
+
+  ## Examples
+
+      iex> list_client_todo_lists(client_id)
+      [%TodoList{}, ...]
+
+      iex> list_client_todo_lists(client_id, created: true)
+      [%TodoList{}, ...]
+
+  """
+  def list_client_todo_lists(client_id, opts \\ [])
+
+  def list_client_todo_lists(nil, _opts), do: []
+
+  def list_client_todo_lists(client_id, opts) do
+    limit = Keyword.get(opts, :limit, 10)
+
+    query =
+      from(tl in TodoList,
+        join: h in TodoListHistory,
+        on: h.todo_list_id == tl.id,
+        where: h.client_id == ^client_id and is_nil(tl.deleted_at),
+        group_by: tl.id,
+        order_by: [desc: max(h.inserted_at)],
+        limit: ^limit
+      )
+
+    if Keyword.get(opts, :created, false) do
+      query
+      |> where([_tl, h], h.change_type == "list_created")
+      |> Repo.all()
+    else
+      Repo.all(query)
+    end
+  end
+
+  @doc """
+  Returns an overview of the todo_lists with the given ids: each list with its
+  number of open items and the last time it or one of its items changed, most
+  recent activity first. Deleted lists and invalid ids are skipped.
+
+  ## Examples
+
+      iex> summarize_todo_lists([id, ...])
+      [%{todo_list: %TodoList{}, open_count: 2, last_activity_at: ~N[...]}, ...]
+
+  """
+  def summarize_todo_lists([]), do: []
+
+  def summarize_todo_lists(ids) do
+    uuids =
+      for id <- ids, {:ok, uuid} <- [Ecto.UUID.cast(id)], uniq: true, do: uuid
+
+    from(tl in TodoList,
+      left_join: ti in TodoItem,
+      on: ti.todo_list_id == tl.id,
+      where: tl.id in ^uuids and is_nil(tl.deleted_at),
+      group_by: tl.id,
+      select: %{
+        todo_list: tl,
+        open_count: filter(count(ti.id), ti.status == :todo and is_nil(ti.deleted_at)),
+        last_item_update: max(ti.updated_at)
+      }
+    )
+    |> Repo.all()
+    |> Enum.map(fn %{todo_list: todo_list, last_item_update: last_item_update} = summary ->
+      last_activity_at =
+        [todo_list.updated_at, last_item_update]
+        |> Enum.reject(&is_nil/1)
+        |> Enum.max(NaiveDateTime)
+
+      summary
+      |> Map.delete(:last_item_update)
+      |> Map.put(:last_activity_at, last_activity_at)
+    end)
+    |> Enum.sort_by(& &1.last_activity_at, {:desc, NaiveDateTime})
+  end
+
   @doc """
   Creates a todo_list.
 
@@ -69,6 +177,31 @@ defmodule TodoLister.Lists do
     end
   end
 
+  @doc """
+  Creates a todo_list together with its todo_items, in the given order, such
+  as a list imported from another app. Nothing is created when the list or any
+  item is invalid.
+
+  ## Examples
+
+      iex> create_todo_list_with_items(%{title: "Backlog"}, [%{text: "One"}], client_id)
+      {:ok, %TodoList{}}
+
+      iex> create_todo_list_with_items(%{title: ""}, [%{text: "One"}], client_id)
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def create_todo_list_with_items(attrs, items_attrs, client_id \\ nil) do
+    Repo.transaction(fn ->
+      with {:ok, todo_list} <- create_todo_list(attrs, client_id),
+           {:ok, _todo_items} <- create_todo_items(todo_list, items_attrs, client_id) do
+        todo_list
+      else
+        {:error, changeset} -> Repo.rollback(changeset)
+      end
+    end)
+  end
+
   @doc """
   Updates a todo_list.
 
@@ -320,6 +453,16 @@ defmodule TodoLister.Lists do
       {:ok, _}
   """
   def reorder_todo_items(item_orders, todo_list_id \\ nil, client_id \\ nil) do
+    item_ids = Enum.map(item_orders, & &1.id)
+
+    # Kept in history so the reordering can be undone
+    previous_orders =
+      Repo.all(
+        from ti in TodoItem,
+          where: ti.id in ^item_ids,
+          select: %{id: ti.id, order: ti.order}
+      )
+
     case Repo.transaction(fn ->
            Enum.each(item_orders, fn %{id: id, order: order} ->
              from(ti in TodoItem, where: ti.id == ^id)
@@ -329,7 +472,7 @@ defmodule TodoLister.Lists do
       {:ok, result} ->
         # Record history if client_id and todo_list_id are provided
         if client_id && todo_list_id do
-          History.record_items_reordered(todo_list_id, item_orders, client_id)
+          History.record_items_reordered(todo_list_id, item_orders, client_id, previous_orders)
         end
 
         {:ok, result}
@@ -339,6 +482,169 @@ defmodule TodoLister.Lists do
     end
   end
 
+  @doc """
+  Creates several todo_items at once, appended after the list's items.
+
+  A placeholder item that was never filled in, like the "New task" item the
+  add button creates, can be passed to take the first attributes instead of
+  creating another item. All items are created in one transaction and recorded
+  as a single history entry when client_id is provided.
+
+  ## Examples
+
+      iex> create_todo_items(todo_list, [%{text: "One"}, %{text: "Two"}], client_id)
+      {:ok, [%TodoItem{}, %TodoItem{}]}
+
+      iex> create_todo_items(todo_list, [%{text: ""}], client_id)
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def create_todo_items(
+        %TodoList{} = todo_list,
+        items_attrs,
+        client_id \\ nil,
+        placeholder \\ nil
+      ) do
+    Repo.transaction(fn ->
+      {filled, items_attrs} = fill_placeholder(placeholder, items_attrs)
+      first_order = get_next_order(todo_list.id)
+
+      created =
+        items_attrs
+        |> Enum.with_index(first_order)
+        |> Enum.map(fn {attrs, order} ->
+          attrs = Map.merge(attrs, %{todo_list_id: todo_list.id, order: order})
+
+          case %TodoItem{} |> TodoItem.changeset(attrs) |> Repo.insert() do
+            {:ok, todo_item} -> todo_item
+            {:error, changeset} -> Repo.rollback(changeset)
+          end
+        end)
+
+      todo_items = filled ++ created
+
+      if client_id && todo_items != [] do
+        History.record_items_created(todo_list.id, todo_items, client_id)
+      end
+
+      todo_items
+    end)
+  end
+
+  defp fill_placeholder(nil, items_attrs), do: {[], items_attrs}
+  defp fill_placeholder(_placeholder, []), do: {[], []}
+
+  defp fill_placeholder(placeholder, [attrs | rest]) do
+    case placeholder |> TodoItem.changeset(attrs) |> Repo.update() do
+      {:ok, todo_item} -> {[todo_item], rest}
+      {:error, changeset} -> Repo.rollback(changeset)
+    end
+  end
+
+  @doc """
+  Moves todo_items into another todo_list, appending them after its items.
+
+  All items are moved in one transaction. History is recorded on both the
+  source and the target list when client_id is provided.
+
+  ## Examples
+
+      iex> move_todo_items([todo_item], target_list, client_id)
+      {:ok, [%TodoItem{}, ...]}
+
+  """
+  def move_todo_items(todo_items, %TodoList{} = target_list, client_id \\ nil) do
+    Repo.transaction(fn ->
+      first_order = get_next_order(target_list.id)
+
+      # The lists the items come from, looked up once for their history
+      source_list_ids = todo_items |> Enum.map(& &1.todo_list_id) |> Enum.uniq()
+
+      source_lists =
+        from(tl in TodoList, where: tl.id in ^source_list_ids)
+        |> Repo.all()
+        |> Map.new(&{&1.id, &1})
+
+      todo_items
+      |> Enum.with_index(first_order)
+      |> Enum.map(fn {todo_item, order} ->
+        from_list = Map.fetch!(source_lists, todo_item.todo_list_id)
+
+        case todo_item
+             |> TodoItem.changeset(%{todo_list_id: target_list.id, order: order})
+             |> Repo.update() do
+          {:ok, moved_item} ->
+            if client_id do
+              History.record_item_moved(moved_item, from_list, target_list, client_id)
+            end
+
+            moved_item
+
+          {:error, changeset} ->
+            Repo.rollback(changeset)
+        end
+      end)
+    end)
+  end
+
+  @doc """
+  Saves the text a client settled on after its edit of a todo_item clashed
+  with another client's edit.
+
+  `conflict` holds the `:original` text the edit started from, the `:remote`
+  text the other client saved and the client's `:local` draft. The
+  `resolution`, one of "theirs", "mine" or "combined", is recorded in history
+  with all three when client_id is provided.
+
+  ## Examples
+
+      iex> resolve_item_conflict(todo_item, "Buy oat milk", conflict, "combined", client_id)
+      {:ok, %TodoItem{}}
+
+      iex> resolve_item_conflict(todo_item, "", conflict, "combined", client_id)
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def resolve_item_conflict(
+        %TodoItem{} = todo_item,
+        text,
+        conflict,
+        resolution,
+        client_id \\ nil
+      ) do
+    Repo.transaction(fn ->
+      case todo_item |> TodoItem.changeset(%{text: text}) |> Repo.update() do
+        {:ok, resolved_item} ->
+          if client_id do
+            History.record_item_conflict_resolved(resolved_item, conflict, resolution, client_id)
+          end
+
+          resolved_item
+
+        {:error, changeset} ->
+          Repo.rollback(changeset)
+      end
+    end)
+  end
+
+  @doc """
+  Counts one more completed Pomodoro work phase on a todo_item.
+
+  The item's updated_at is left alone, finishing a Pomodoro doesn't edit it.
+
+  ## Examples
+
+      iex> record_pomodoro_completed(todo_item_id)
+      :ok
+
+  """
+  def record_pomodoro_completed(todo_item_id) do
+    from(ti in TodoItem, where: ti.id == ^todo_item_id)
+    |> Repo.update_all(inc: [pomodoros_completed: 1])
+
+    :ok
+  end
+
   @doc """
   Gets a todo_list with its todo_items preloaded.
 
@@ -18,9 +18,21 @@ defmodule TodoLister.TodoListHistory do
     "item_status_updated",
     "item_order_updated",
     "item_deleted",
+    "item_moved_out",
+    "item_moved_in",
+    "item_conflict_resolved",
 
     # Bulk operations
-    "items_reordered"
+    "items_created",
+    "items_reordered",
+
+    # Focus operations
+    "focus_session",
+
+    # Undo and redo of an earlier change
+    "change_undone",
+    "change_redone",
+    "change_skipped"
   ]
 
   schema "todo_list_histories" do
@@ -28,6 +40,7 @@ defmodule TodoLister.TodoListHistory do
     field :client_id, :string
     field :old_data, :map
     field :new_data, :map
+    field :sequence, :integer, read_after_writes: true
 
     belongs_to :todo_list, TodoLister.TodoList
     belongs_to :todo_item, TodoLister.TodoItem
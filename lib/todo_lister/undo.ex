@@ -0,0 +1,270 @@
+defmodule TodoLister.Undo do
+  @moduledoc """
+  Undo and redo of a client's own changes to a todo list.
+
+  Both are resolved from `TodoLister.History`: undo applies the inverse of the
+  client's latest change that is still in effect, redo re-applies the change
+  the client's latest undo reverted. Undos and redos are recorded as history
+  too, which is how the next undo or redo knows where it stands. Any other
+  change by the client clears what can be redone.
+
+  A change that can no longer be reverted, such as an edit of an item that
+  was deleted for good, is recorded as skipped when an undo fails on it, so
+  the next undo goes on with the change before it.
+  """
+
+  import Ecto.Query, warn: false
+  alias TodoLister.{History, Lists, Repo, TodoItem, TodoList}
+
+  @undoable_types [
+    "list_title_updated",
+    "item_created",
+    "item_text_updated",
+    "item_conflict_resolved",
+    "item_status_updated",
+    "item_deleted",
+    "item_moved_out",
+    "items_created",
+    "items_reordered"
+  ]
+
+  @doc """
+  Undoes the client's latest change to a todo list.
+
+  ## Examples
+
+      iex> undo(todo_list, client_id)
+      {:ok, %TodoListHistory{change_type: "change_undone"}}
+
+      iex> undo(todo_list, client_id)
+      {:error, :nothing_to_undo}
+
+  """
+  def undo(_todo_list, nil), do: {:error, :nothing_to_undo}
+
+  def undo(todo_list, client_id) do
+    case undo_target(History.get_client_list_history(todo_list.id, client_id)) do
+      nil ->
+        {:error, :nothing_to_undo}
+
+      entry ->
+        change = change_from_entry(entry)
+
+        transaction(fn ->
+          with :ok <- apply_change(todo_list, change, :revert) do
+            History.record_change_undone(todo_list.id, change, client_id)
+          end
+        end)
+        |> skip_on_error(todo_list, change, client_id)
+    end
+  end
+
+  @doc """
+  Redoes the change the client's latest undo on a todo list reverted.
+
+  ## Examples
+
+      iex> redo(todo_list, client_id)
+      {:ok, %TodoListHistory{change_type: "change_redone"}}
+
+      iex> redo(todo_list, client_id)
+      {:error, :nothing_to_redo}
+
+  """
+  def redo(_todo_list, nil), do: {:error, :nothing_to_redo}
+
+  def redo(todo_list, client_id) do
+    case redo_target(History.get_client_list_history(todo_list.id, client_id)) do
+      nil ->
+        {:error, :nothing_to_redo}
+
+      undo_entry ->
+        change = change_from_undo_data(undo_entry.new_data)
+
+        transaction(fn ->
+          with :ok <- apply_change(todo_list, change, :reapply) do
+            History.record_change_redone(todo_list.id, undo_entry.id, change, client_id)
+          end
+        end)
+    end
+  end
+
+  # The newest undoable change that no undo currently reverts or skipped. An
+  # undo that was redone no longer counts, so its change can be undone again
+  defp undo_target(entries) do
+    redone_undo_ids = referenced_ids(entries, "change_redone")
+
+    undone_ids =
+      entries
+      |> Enum.filter(&(&1.change_type == "change_undone" and &1.id not in redone_undo_ids))
+      |> MapSet.new(& &1.new_data["history_id"])
+      |> MapSet.union(referenced_ids(entries, "change_skipped"))
+
+    Enum.find(entries, &(&1.change_type in @undoable_types and &1.id not in undone_ids))
+  end
+
+  # The newest undo that has not been redone, as long as no other change
+  # happened since
+  defp redo_target(entries) do
+    entries
+    |> Enum.reduce_while(MapSet.new(), fn entry, redone_undo_ids ->
+      cond do
+        entry.change_type == "change_redone" ->
+          {:cont, MapSet.put(redone_undo_ids, entry.new_data["history_id"])}
+
+        entry.change_type == "change_undone" and entry.id not in redone_undo_ids ->
+          {:halt, entry}
+
+        entry.change_type in @undoable_types ->
+          {:halt, nil}
+
+        true ->
+          {:cont, redone_undo_ids}
+      end
+    end)
+    |> case do
+      %MapSet{} -> nil
+      entry -> entry
+    end
+  end
+
+  # The failed undo is reported, and its change skipped by the next one
+  defp skip_on_error({:error, _reason} = error, todo_list, change, client_id) do
+    History.record_change_skipped(todo_list.id, change, client_id)
+    error
+  end
+
+  defp skip_on_error(result, _todo_list, _change, _client_id), do: result
+
+  defp referenced_ids(entries, change_type) do
+    for %{change_type: ^change_type} = entry <- entries,
+        into: MapSet.new(),
+        do: entry.new_data["history_id"]
+  end
+
+  defp change_from_entry(entry) do
+    %{
+      id: entry.id,
+      change_type: entry.change_type,
+      todo_item_id: entry.todo_item_id,
+      old_data: entry.old_data || %{},
+      new_data: entry.new_data || %{}
+    }
+  end
+
+  defp change_from_undo_data(data) do
+    %{
+      id: data["history_id"],
+      change_type: data["change_type"],
+      todo_item_id: data["todo_item_id"],
+      old_data: data["old_data"] || %{},
+      new_data: data["new_data"] || %{}
+    }
+  end
+
+  defp apply_change(todo_list, %{change_type: "list_title_updated"} = change, direction) do
+    title = pick(change, direction)["title"]
+    todo_list |> Lists.update_todo_list(%{title: title}) |> to_result()
+  end
+
+  defp apply_change(todo_list, %{change_type: "item_created"} = change, direction) do
+    set_deleted(todo_list, change.todo_item_id, direction == :revert)
+  end
+
+  defp apply_change(todo_list, %{change_type: "item_deleted"} = change, direction) do
+    set_deleted(todo_list, change.todo_item_id, direction == :reapply)
+  end
+
+  # A move is undone by moving the item back, as long as it is still on the
+  # list it was moved to and both lists are still there
+  defp apply_change(todo_list, %{change_type: "item_moved_out"} = change, direction) do
+    other_list_id = change.new_data["todo_list_id"]
+
+    {from_list_id, to_list_id} =
+      if direction == :revert,
+        do: {other_list_id, todo_list.id},
+        else: {todo_list.id, other_list_id}
+
+    with %TodoItem{todo_list_id: ^from_list_id, deleted_at: nil} = todo_item <-
+           Repo.get(TodoItem, change.todo_item_id),
+         %TodoList{} = to_list <- Lists.get_todo_list(to_list_id) do
+      [todo_item] |> Lists.move_todo_items(to_list) |> to_result()
+    else
+      _ -> {:error, :item_missing}
+    end
+  end
+
+  defp apply_change(todo_list, %{change_type: "items_created"} = change, direction) do
+    Enum.reduce_while(change.new_data["items"], :ok, fn item, :ok ->
+      case set_deleted(todo_list, item["id"], direction == :revert) do
+        :ok -> {:cont, :ok}
+        error -> {:halt, error}
+      end
+    end)
+  end
+
+  # A resolved edit conflict reverts to the text the other client saved
+  defp apply_change(todo_list, %{change_type: type} = change, direction)
+       when type in ["item_text_updated", "item_conflict_resolved"] do
+    update_item(todo_list, change.todo_item_id, %{text: pick(change, direction)["text"]})
+  end
+
+  defp apply_change(todo_list, %{change_type: "item_status_updated"} = change, direction) do
+    update_item(todo_list, change.todo_item_id, %{status: pick(change, direction)["status"]})
+  end
+
+  defp apply_change(_todo_list, %{change_type: "items_reordered"} = change, direction) do
+    # Reorders recorded before their previous orders were kept can't be undone
+    case pick(change, direction)["reorder_data"] do
+      nil ->
+        {:error, :not_undoable}
+
+      reorder_data ->
+        reorder_data
+        |> Enum.map(&%{id: &1["id"], order: &1["order"]})
+        |> Lists.reorder_todo_items()
+        |> to_result()
+    end
+  end
+
+  defp pick(change, :revert), do: change.old_data
+  defp pick(change, :reapply), do: change.new_data
+
+  # Items are looked up including soft deleted ones, but only on this list
+  defp set_deleted(todo_list, todo_item_id, deleted?) do
+    deleted_at = if deleted?, do: NaiveDateTime.utc_now(), else: nil
+
+    with %TodoItem{} = todo_item <- get_list_item(todo_list, todo_item_id) do
+      todo_item |> Lists.update_todo_item(%{deleted_at: deleted_at}) |> to_result()
+    end
+  end
+
+  defp update_item(todo_list, todo_item_id, attrs) do
+    with %TodoItem{} = todo_item <- get_list_item(todo_list, todo_item_id) do
+      todo_item |> Lists.update_todo_item(attrs) |> to_result()
+    end
+  end
+
+  defp get_list_item(todo_list, todo_item_id) do
+    case todo_item_id && Repo.get(TodoItem, todo_item_id) do
+      %TodoItem{todo_list_id: todo_list_id} = todo_item when todo_list_id == todo_list.id ->
+        todo_item
+
+      _ ->
+        {:error, :item_missing}
+    end
+  end
+
+  defp to_result({:ok, _}), do: :ok
+  defp to_result({:error, _} = error), do: error
+
+  defp transaction(fun) do
+    Repo.transaction(fn ->
+      case fun.() do
+        # Reloaded so its data has the string keys history read later has
+        {:ok, history} -> Repo.reload!(history)
+        {:error, reason} -> Repo.rollback(reason)
+      end
+    end)
+  end
+end
@@ -0,0 +1,31 @@
+defmodule TodoLister.WordDiff do
+  @moduledoc """
+  Word-level diffs between two versions of a task text.
+
+  The merge dialog for concurrent edits shows what the other client and the
+  local draft changed compared to the text both started from. Whitespace
+  between words is diffed like a word, so joining the segments of a diff gives
+  back both texts.
+  """
+
+  @doc """
+  Diffs two texts word by word into `{:eq | :del | :ins, text}` segments.
+
+  ## Examples
+
+      iex> diff("Buy milk", "Buy oat milk")
+      [eq: "Buy ", ins: "oat ", eq: "milk"]
+
+      iex> diff("Call Bob", "Call Alice")
+      [eq: "Call ", del: "Bob", ins: "Alice"]
+
+  """
+  def diff(old_text, new_text) do
+    old_text
+    |> words()
+    |> List.myers_difference(words(new_text))
+    |> Enum.map(fn {op, words} -> {op, Enum.join(words)} end)
+  end
+
+  defp words(text), do: ~r/\s+|\S+/u |> Regex.scan(text) |> List.flatten()
+end
@@ -43,6 +43,9 @@ defmodule TodoListerWeb.CoreComponents do
 
       <.flash kind={:info} flash={@flash} />
       <.flash kind={:info} phx-mounted={show("#flash")}>Welcome Back!</.flash>
+      <.flash kind={:info} flash={@flash}>
+        <:action><button phx-click="undo">Undo</button></:action>
+      </.flash>
   """
   attr :id, :string, doc: "the optional id of flash container"
   attr :flash, :map, default: %{}, doc: "the map of flash messages to display"
@@ -51,6 +54,7 @@ defmodule TodoListerWeb.CoreComponents do
   attr :rest, :global, doc: "the arbitrary HTML attributes to add to the flash container"
 
   slot :inner_block, doc: "the optional inner block that renders the flash message"
+  slot :action, doc: "optional actions shown below the message, such as an undo button"
 
   def flash(assigns) do
     assigns = assign_new(assigns, :id, fn -> "flash-#{assigns.kind}" end)
@@ -82,6 +86,9 @@ defmodule TodoListerWeb.CoreComponents do
         <div>
           <p :if={@title} class="font-semibold">{@title}</p>
           <p>{msg}</p>
+          <div :if={@action != []} class="mt-1 flex gap-3 text-sm font-semibold">
+            {render_slot(@action)}
+          </div>
         </div>
         <div class="flex-1" />
         <button type="button" class="group self-start cursor-pointer" aria-label={gettext("close")}>
@@ -480,7 +487,7 @@ defmodule TodoListerWeb.CoreComponents do
   end
 
   @doc """
-  Renders the TodoLister navigation bar with logo and navigation.
+  Renders the TodoLister navigation bar with logo, language picker and theme toggle.
 
   ## Examples
 
@@ -491,7 +498,7 @@ defmodule TodoListerWeb.CoreComponents do
   def navbar(assigns) do
     ~H"""
     <header class={[
-      "bg-white border-b border-gray-200 shadow-sm",
+      "bg-base-100 border-b border-base-300 shadow-sm",
       @class
     ]}>
       <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -518,8 +525,12 @@ defmodule TodoListerWeb.CoreComponents do
               </svg>
             </div>
             <!-- App Name -->
-            <span class="text-xl font-bold text-gray-900">TodoLister</span>
+            <span class="text-xl font-bold text-base-content">TodoLister</span>
           </.link>
+          <div class="flex items-center gap-2">
+            <TodoListerWeb.Layouts.locale_picker />
+            <TodoListerWeb.Layouts.theme_toggle />
+          </div>
         </div>
       </div>
     </header>
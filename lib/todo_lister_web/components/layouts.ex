@@ -118,17 +118,25 @@ defmodule TodoListerWeb.Layouts do
   @doc """
   Provides dark vs light theme toggle based on themes defined in app.css.
 
-  See <head> in root.html.heex which applies the theme before page load.
+  See <head> in root.html.heex which applies the theme before page load,
+  keeps the choice in localStorage and follows changes made in other tabs.
   """
   def theme_toggle(assigns) do
     ~H"""
-    <div class="card relative flex flex-row items-center border-2 border-base-300 bg-base-300 rounded-full">
+    <div
+      id="theme-toggle"
+      role="group"
+      aria-label="Theme"
+      class="card relative flex flex-row items-center border-2 border-base-300 bg-base-300 rounded-full"
+    >
       <div class="absolute w-1/3 h-full rounded-full border-1 border-base-200 bg-base-100 brightness-200 left-0 [[data-theme=light]_&]:left-1/3 [[data-theme=dark]_&]:left-2/3 transition-[left]" />
 
       <button
         class="flex p-2 cursor-pointer w-1/3"
         phx-click={JS.dispatch("phx:set-theme")}
         data-phx-theme="system"
+        title={gettext("Use the system theme")}
+        aria-label={gettext("Use the system theme")}
       >
         <.icon name="hero-computer-desktop-micro" class="size-4 opacity-75 hover:opacity-100" />
       </button>
@@ -137,6 +145,8 @@ defmodule TodoListerWeb.Layouts do
         class="flex p-2 cursor-pointer w-1/3"
         phx-click={JS.dispatch("phx:set-theme")}
         data-phx-theme="light"
+        title={gettext("Use the light theme")}
+        aria-label={gettext("Use the light theme")}
       >
         <.icon name="hero-sun-micro" class="size-4 opacity-75 hover:opacity-100" />
       </button>
@@ -145,10 +155,45 @@ defmodule TodoListerWeb.Layouts do
         class="flex p-2 cursor-pointer w-1/3"
         phx-click={JS.dispatch("phx:set-theme")}
         data-phx-theme="dark"
+        title={gettext("Use the dark theme")}
+        aria-label={gettext("Use the dark theme")}
       >
         <.icon name="hero-moon-micro" class="size-4 opacity-75 hover:opacity-100" />
       </button>
     </div>
     """
   end
+
+  @doc """
+  Provides a language picker for the locales in `TodoListerWeb.Locale`.
+
+  Picking a language reloads the page, the locale plug keeps the choice in the
+  session and the root layout hands the matching strings to app.js.
+  """
+  def locale_picker(assigns) do
+    assigns = assign(assigns, :current_locale, Gettext.get_locale(TodoListerWeb.Gettext))
+
+    ~H"""
+    <div id="locale-picker" class="dropdown dropdown-end">
+      <div tabindex="0" role="button" class="btn btn-ghost btn-sm" title={gettext("Language")}>
+        <.icon name="hero-language-micro" class="size-4" />
+        {String.upcase(@current_locale)}
+      </div>
+      <ul
+        tabindex="0"
+        class="dropdown-content menu z-20 mt-2 w-40 rounded-box bg-base-100 p-2 shadow-xl"
+      >
+        <li :for={{locale, name} <- TodoListerWeb.Locale.locales()}>
+          <a
+            href={"?locale=#{locale}"}
+            lang={locale}
+            class={locale == @current_locale && "menu-active"}
+          >
+            {name}
+          </a>
+        </li>
+      </ul>
+    </div>
+    """
+  end
 end
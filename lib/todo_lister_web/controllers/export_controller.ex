@@ -0,0 +1,28 @@
+defmodule TodoListerWeb.ExportController do
+  use TodoListerWeb, :controller
+
+  alias TodoLister.{Export, Lists, TodoList}
+
+  def show(conn, %{"id" => id, "format" => format}) do
+    with %TodoList{} = todo_list <- Lists.get_todo_list(id),
+         {:ok, body} <- Export.export(todo_list, Lists.list_todo_items(todo_list), format) do
+      conn
+      |> put_resp_content_type(Export.content_type(format))
+      |> put_resp_header(
+        "content-disposition",
+        ~s(attachment; filename="#{Export.filename(todo_list, format)}")
+      )
+      |> send_resp(200, body)
+    else
+      nil ->
+        conn
+        |> put_status(:not_found)
+        |> text("Todo list not found")
+
+      {:error, :unknown_format} ->
+        conn
+        |> put_status(:bad_request)
+        |> text("Unknown export format, use one of: #{Enum.join(Export.formats(), ", ")}")
+    end
+  end
+end
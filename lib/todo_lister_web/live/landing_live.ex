@@ -3,11 +3,29 @@ defmodule TodoListerWeb.LandingLive do
 
   alias TodoLister.Lists
 
+  @recent_limit 10
+
+  # Imports with more items than this are cut off
+  @import_limit 1000
+
   @impl true
   def mount(_params, _session, socket) do
     # Extract client_id from connection params and store in assigns
     client_id = get_connect_params(socket)["client_id"]
-    {:ok, assign(socket, client_id: client_id, page_title: "Home")}
+
+    # Lists this browser only viewed are remembered by app.js, most recent first
+    visited_ids =
+      get_connect_params(socket)["visited_lists"] |> List.wrap() |> Enum.take(@recent_limit * 2)
+
+    {created_lists, recent_lists} = load_client_lists(client_id, visited_ids)
+
+    {:ok,
+     assign(socket,
+       client_id: client_id,
+       page_title: "Home",
+       created_lists: created_lists,
+       recent_lists: recent_lists
+     )}
   end
 
   @impl true
@@ -24,11 +42,108 @@ defmodule TodoListerWeb.LandingLive do
     end
   end
 
+  @impl true
+  def handle_event("import_list", %{"title" => title, "items" => items}, socket) do
+    # Files are parsed into items by the ListImport hook in app.js
+    title = title |> to_string() |> String.trim() |> String.slice(0, 255)
+
+    items_attrs =
+      items
+      |> Enum.take(@import_limit)
+      |> Enum.map(&imported_item_attrs/1)
+      |> Enum.reject(&(&1.text == ""))
+
+    attrs = %{title: if(title == "", do: "Imported list", else: title)}
+
+    case Lists.create_todo_list_with_items(attrs, items_attrs, socket.assigns.client_id) do
+      {:ok, todo_list} ->
+        {:noreply, push_navigate(socket, to: ~p"/tl/#{todo_list.id}")}
+
+      {:error, _changeset} ->
+        # The ListImport hook shows the error next to its preview
+        {:reply, %{error: "Failed to import the list"}, socket}
+    end
+  end
+
+  # Summaries of the lists the client created and of the other lists it changed
+  # or viewed, each with the most recent activity first
+  defp load_client_lists(client_id, visited_ids) do
+    created_ids =
+      client_id
+      |> Lists.list_client_todo_lists(created: true, limit: @recent_limit)
+      |> Enum.map(& &1.id)
+
+    changed_ids =
+      client_id
+      |> Lists.list_client_todo_lists(limit: @recent_limit)
+      |> Enum.map(& &1.id)
+
+    {created, recent} =
+      (created_ids ++ changed_ids ++ visited_ids)
+      |> Lists.summarize_todo_lists()
+      |> Enum.split_with(&(&1.todo_list.id in created_ids))
+
+    {created, Enum.take(recent, @recent_limit)}
+  end
+
+  defp imported_item_attrs(item) do
+    text = item["text"] |> to_string() |> String.trim() |> String.slice(0, 500)
+    %{text: text, status: item["status"] || "todo"}
+  end
+
+  defp format_last_activity(at) do
+    seconds = NaiveDateTime.diff(NaiveDateTime.utc_now(), at)
+
+    cond do
+      seconds < 60 -> "just now"
+      seconds < 3600 -> pluralize(div(seconds, 60), "minute") <> " ago"
+      seconds < 86_400 -> pluralize(div(seconds, 3600), "hour") <> " ago"
+      seconds < 7 * 86_400 -> pluralize(div(seconds, 86_400), "day") <> " ago"
+      true -> Calendar.strftime(at, "%B %d, %Y")
+    end
+  end
+
+  defp pluralize(1, word), do: "1 #{word}"
+  defp pluralize(count, word), do: "#{count} #{word}s"
+
+  attr :id, :string, required: true
+  attr :title, :string, required: true
+  attr :summaries, :list, required: true
+
+  defp list_section(assigns) do
+    ~H"""
+    <div :if={@summaries != []} id={@id} class="card bg-base-100 shadow-xl">
+      <div class="card-body">
+        <h2 class="card-title">{@title}</h2>
+        <ul class="divide-y divide-base-200">
+          <li :for={summary <- @summaries} id={"#{@id}-#{summary.todo_list.id}"}>
+            <.link
+              navigate={~p"/tl/#{summary.todo_list.id}"}
+              class="flex items-center justify-between gap-4 py-3 hover:text-orange-600"
+            >
+              <span class="font-medium truncate">{summary.todo_list.title}</span>
+              <span class="flex shrink-0 items-center gap-3 text-sm text-gray-500">
+                <span class="badge badge-ghost">{summary.open_count} open</span>
+                <span>{format_last_activity(summary.last_activity_at)}</span>
+              </span>
+            </.link>
+          </li>
+        </ul>
+      </div>
+    </div>
+    """
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
-    <div class="min-h-screen bg-gradient-to-br from-orange-50 to-orange-100">
-      <div class="container mx-auto px-4 py-16">
+    <div class="min-h-screen bg-gradient-to-br from-orange-50 to-orange-100 dark:from-base-300 dark:to-base-200">
+      <.flash kind={:error} flash={@flash} />
+      <div class="flex justify-end items-center gap-2 px-4 pt-4">
+        <Layouts.locale_picker />
+        <Layouts.theme_toggle />
+      </div>
+      <div class="container mx-auto px-4 py-12">
         <div class="max-w-6xl mx-auto">
           <div class="hero mb-12">
             <div class="hero-content text-center">
@@ -36,7 +151,7 @@ defmodule TodoListerWeb.LandingLive do
                 <h1 class="text-6xl font-bold text-orange-600 mb-4">
                   TodoLister
                 </h1>
-                <p class="text-2xl text-gray-700 mb-8">
+                <p class="text-2xl text-base-content/80 mb-8">
                   Real-time collaborative todo lists powered by Phoenix LiveView
                 </p>
                 <div class="flex justify-center gap-4">
@@ -51,6 +166,64 @@ defmodule TodoListerWeb.LandingLive do
             </div>
           </div>
 
+          <!-- Filled in by the ListImport hook once a file is parsed -->
+          <div
+            id="list-import"
+            phx-hook="ListImport"
+            phx-update="ignore"
+            class="card bg-base-100 shadow-xl mb-8"
+          >
+            <div class="card-body">
+              <h2 class="card-title">Import a list</h2>
+              <label
+                data-import-drop
+                class="flex flex-col items-center justify-center gap-2 rounded-box border-2 border-dashed border-orange-300 p-6 text-center cursor-pointer hover:bg-orange-50"
+              >
+                <span class="font-medium">Drop a file here or click to choose one</span>
+                <span class="text-sm text-gray-500">
+                  Markdown checklists, plain text, Todoist CSV or Trello board JSON
+                </span>
+                <input
+                  type="file"
+                  data-import-file
+                  accept=".md,.markdown,.txt,.csv,.json,text/plain,text/markdown,text/csv,application/json"
+                  class="sr-only"
+                />
+              </label>
+              <p data-import-error class="hidden text-sm text-red-600" role="alert"></p>
+              <div data-import-preview class="hidden">
+                <input
+                  type="text"
+                  data-import-title
+                  maxlength="255"
+                  aria-label="Title of the imported list"
+                  class="input input-bordered w-full"
+                />
+                <p data-import-summary class="mt-3 text-sm text-gray-500"></p>
+                <ul data-import-items class="mt-2 max-h-64 overflow-y-auto space-y-1"></ul>
+                <div class="mt-4 flex justify-end gap-2">
+                  <button type="button" data-import-cancel class="btn">Cancel</button>
+                  <button
+                    type="button"
+                    data-import-confirm
+                    class="btn btn-primary bg-orange-500 border-orange-500 hover:bg-orange-600 hover:border-orange-600 text-white"
+                  >
+                    Import
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div
+            :if={@created_lists != [] or @recent_lists != []}
+            id="client-lists"
+            class="grid md:grid-cols-2 gap-8"
+          >
+            <.list_section id="created-lists" title="Created by you" summaries={@created_lists} />
+            <.list_section id="recent-lists" title="Recent lists" summaries={@recent_lists} />
+          </div>
+
           <div class="card shadow-2xl mt-16">
             <figure>
               <img
@@ -137,26 +310,28 @@ defmodule TodoListerWeb.LandingLive do
           </div>
 
           <div class="mt-16">
-            <h2 class="text-3xl font-bold text-gray-800 mb-8 text-center">How It Works</h2>
+            <h2 class="text-3xl font-bold text-base-content mb-8 text-center">How It Works</h2>
             <div class="steps steps-vertical lg:steps-horizontal w-full">
               <div class="step step-primary" data-content="1">
-                <div class="step-content text-gray-800">
+                <div class="step-content text-base-content">
                   <h3 class="font-bold text-lg">Create or Join</h3>
-                  <p class="text-sm text-gray-600 mt-1">
+                  <p class="text-sm text-base-content/70 mt-1">
                     Start a new list
                   </p>
                 </div>
               </div>
               <div class="step step-primary" data-content="2">
-                <div class="step-content text-gray-800">
+                <div class="step-content text-base-content">
                   <h3 class="font-bold text-lg">Add Tasks</h3>
-                  <p class="text-sm text-gray-600 mt-1">Add, edit, and complete tasks in real-time</p>
+                  <p class="text-sm text-base-content/70 mt-1">
+                    Add, edit, and complete tasks in real-time
+                  </p>
                 </div>
               </div>
               <div class="step step-primary" data-content="3">
-                <div class="step-content text-gray-800">
+                <div class="step-content text-base-content">
                   <h3 class="font-bold text-lg">Collaborate</h3>
-                  <p class="text-sm text-gray-600 mt-1">
+                  <p class="text-sm text-base-content/70 mt-1">
                     Share the code with others to work together
                   </p>
                 </div>
@@ -1,7 +1,14 @@
 defmodule TodoListerWeb.TodoListLive do
   use TodoListerWeb, :live_view
 
-  alias TodoLister.{Lists, History}
+  alias TodoLister.{Lists, History, Focus, Undo, Export, WordDiff}
+  alias TodoListerWeb.Presence
+
+  # Pasted tasks beyond this many lines are dropped
+  @paste_limit 100
+  @item_statuses %{"todo" => :todo, "done" => :done, "wont_do" => :wont_do}
+
+  @export_formats [{"md", "Markdown checklist"}, {"csv", "CSV"}, {"json", "JSON"}]
 
   # Helper function to broadcast updates to all clients except the sender
   defp broadcast_updated(todo_list_id) do
@@ -22,17 +29,40 @@ defmodule TodoListerWeb.TodoListLive do
   def mount(%{"id" => id}, _session, socket) do
     todo_list = Lists.get_todo_list_with_items!(id)
 
-    # Extract client_id from connection params
+    # Extract client_id and display name from connection params
     client_id = get_connect_params(socket)["client_id"]
+    display_name = Presence.display_name(get_connect_params(socket)["display_name"], client_id)
 
     # Subscribe to PubSub updates for this todo list
     if connected?(socket) do
       Phoenix.PubSub.subscribe(TodoLister.PubSub, "todo_list:#{id}")
+
+      # Presence diffs arrive on the same topic
+      if client_id do
+        Presence.track_viewer(self(), todo_list.id, client_id, display_name)
+      end
     end
 
+    viewers = if connected?(socket), do: Presence.list_viewers(todo_list.id), else: []
+
     # Get history for this todo list (limit to recent 20 entries)
     history = History.get_list_history(todo_list.id, limit: 20)
 
+    # Other lists this client worked on, offered as drop targets for moving items
+    other_lists =
+      client_id
+      |> Lists.list_client_todo_lists(limit: 9)
+      |> Enum.reject(&(&1.id == todo_list.id))
+
+    # A focus timer this client left running survives reloads and reconnects.
+    # The presentation view only shows the list, so it doesn't count down too.
+    focus_record =
+      if connected?(socket) and socket.assigns.live_action != :present,
+        do: Focus.get_focus_timer(todo_list.id, client_id)
+
+    # Total focused time per item, shown on the item rows
+    focus_totals = Focus.focused_seconds_by_item(todo_list.id)
+
     socket =
       socket
       |> assign(:todo_list, todo_list)
@@ -40,13 +70,27 @@ defmodule TodoListerWeb.TodoListLive do
       |> assign(:page_title, todo_list.title)
       |> assign(:todo_items, todo_list.todo_items)
       |> assign(:editing_item_id, nil)
+      |> assign(:merge_conflict, nil)
       |> assign(:confirming_delete_id, nil)
       |> assign(:client_id, client_id)
+      |> assign(:display_name, display_name)
+      |> assign(:viewers, viewers)
+      |> assign(:editors, editors_by_item(viewers, client_id))
       |> assign(:history, history)
+      |> assign(:other_lists, other_lists)
       |> assign(:refresh_loading, false)
+      |> assign(:export_formats, @export_formats)
+      |> assign(:flash_action, nil)
       |> assign(:focus_timer, %{item_id: nil, timer_ref: nil, show_modal: false})
       |> assign(:focus_item_id, nil)
       |> assign(:focus_end_time, nil)
+      |> assign(:focus_paused, false)
+      |> assign(:focus_remaining, nil)
+      |> assign(:focus_record, nil)
+      |> assign(:focus_pomodoro, nil)
+      |> assign(:focus_duration, nil)
+      |> assign(:focus_totals, focus_totals)
+      |> restore_focus_timer(focus_record)
 
     {:ok, socket}
   end
@@ -84,7 +128,7 @@ defmodule TodoListerWeb.TodoListLive do
           |> assign(:editing_title, false)
           |> assign(:page_title, updated_todo_list.title)
           |> reload_history()
-          |> put_flash(:info, "Title updated successfully")
+          |> put_undo_flash("Title updated successfully", "undo")
 
         {:noreply, socket}
 
@@ -125,6 +169,24 @@ defmodule TodoListerWeb.TodoListLive do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_event(
+        "replay_offline",
+        %{"event" => event, "payload" => payload} = params,
+        socket
+      ) do
+    # Events replayed from the client's offline queue carry the client_id that
+    # originally queued them, so history stays attributed to that client
+    client_id = params["client_id"] || socket.assigns.client_id
+
+    case {event, payload} do
+      {"add_item", %{"text" => text}} -> add_queued_item(text, client_id, socket)
+      {"toggle_status", %{"id" => _}} -> toggle_status(payload, client_id, socket)
+      {"save_item", %{"id" => _}} -> save_item(payload, client_id, socket)
+      _ -> {:noreply, socket}
+    end
+  end
+
   @impl true
   def handle_event("add_item", _params, socket) do
     # Create a new item and immediately put it in edit mode
@@ -143,7 +205,7 @@ defmodule TodoListerWeb.TodoListLive do
           socket
           |> assign(:todo_list, updated_todo_list)
           |> assign(:todo_items, socket.assigns.todo_items ++ [new_item])
-          |> assign(:editing_item_id, new_item.id)
+          |> assign_editing_item(new_item.id)
           |> reload_history()
 
         {:noreply, socket}
@@ -154,42 +216,51 @@ defmodule TodoListerWeb.TodoListLive do
   end
 
   @impl true
-  def handle_event("toggle_status", %{"id" => id}, socket) do
-    item = Enum.find(socket.assigns.todo_items, &(&1.id == id))
-
-    new_status =
-      case item.status do
-        :todo -> :done
-        :done -> :todo
-        :wont_do -> :todo
-      end
+  def handle_event("paste_items", %{"items" => items} = params, socket) do
+    # Pasting into the untouched "New task" item fills it with the first line
+    placeholder =
+      Enum.find(socket.assigns.todo_items, &(&1.id == params["id"] and placeholder?(&1)))
+
+    items_attrs =
+      items
+      |> Enum.take(@paste_limit)
+      |> Enum.map(&pasted_item_attrs/1)
+      |> Enum.reject(&(&1.text == ""))
+
+    case Lists.create_todo_items(
+           socket.assigns.todo_list,
+           items_attrs,
+           socket.assigns.client_id,
+           placeholder
+         ) do
+      {:ok, []} ->
+        {:noreply, socket}
 
-    case Lists.update_todo_item(item, %{status: new_status}, socket.assigns.client_id) do
-      {:ok, updated_item} ->
+      {:ok, created_items} ->
         broadcast_updated(socket.assigns.todo_list.id)
 
-        # Reload the todo list to get updated latest_updated_at
         updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
 
-        updated_items =
-          Enum.map(socket.assigns.todo_items, fn
-            %{id: ^id} -> updated_item
-            other -> other
-          end)
-
         socket =
           socket
           |> assign(:todo_list, updated_todo_list)
-          |> assign(:todo_items, updated_items)
+          |> assign(:todo_items, updated_todo_list.todo_items)
+          |> assign_editing_item(nil)
           |> reload_history()
+          |> put_undo_flash("Added #{length(created_items)} tasks", "undo")
 
         {:noreply, socket}
 
       {:error, _changeset} ->
-        {:noreply, put_flash(socket, :error, "Failed to update status")}
+        {:noreply, put_flash(socket, :error, "Failed to add the pasted tasks")}
     end
   end
 
+  @impl true
+  def handle_event("toggle_status", %{"id" => _id} = params, socket) do
+    toggle_status(params, socket.assigns.client_id, socket)
+  end
+
   @impl true
   def handle_event("soft_delete", %{"id" => id}, socket) do
     item = Enum.find(socket.assigns.todo_items, &(&1.id == id))
@@ -267,12 +338,26 @@ defmodule TodoListerWeb.TodoListLive do
 
   @impl true
   def handle_event("edit_item", %{"id" => id}, socket) do
-    {:noreply, assign(socket, :editing_item_id, id)}
+    {:noreply, assign_editing_item(socket, id)}
   end
 
   @impl true
   def handle_event("cancel_edit_item", _params, socket) do
-    {:noreply, assign(socket, :editing_item_id, nil)}
+    {:noreply, assign_editing_item(socket, nil)}
+  end
+
+  @impl true
+  def handle_event("discard_edit_item", _params, socket) do
+    # Drops the version kept while editing in favour of the latest one
+    updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+    socket =
+      socket
+      |> assign_editing_item(nil)
+      |> assign(:todo_list, updated_todo_list)
+      |> assign(:todo_items, updated_todo_list.todo_items)
+
+    {:noreply, socket}
   end
 
   @impl true
@@ -281,127 +366,173 @@ defmodule TodoListerWeb.TodoListLive do
         %{"item_id" => item_id, "reference_id" => reference_id, "position" => position},
         socket
       ) do
-    # Get all current items ordered
-    current_items =
-      socket.assigns.todo_items
-      |> Enum.sort_by(& &1.order)
+    case reordered_positions(socket.assigns.todo_items, [item_id], reference_id, position) do
+      {:ok, new_orders} ->
+        apply_reorder(new_orders, socket)
 
-    # Find indices
-    item_index = Enum.find_index(current_items, &(&1.id == item_id))
-    reference_index = Enum.find_index(current_items, &(&1.id == reference_id))
+      :error ->
+        {:noreply, put_flash(socket, :error, "Could not find items to reorder")}
+    end
+  end
 
-    if item_index && reference_index do
-      # Calculate new order values
-      new_orders =
-        case position do
-          "before" ->
-            # Insert before reference item
-            current_items
-            |> List.delete_at(item_index)
-            |> List.insert_at(
-              if item_index < reference_index do
-                reference_index - 1
-              else
-                reference_index
-              end,
-              Enum.at(current_items, item_index)
-            )
-            |> Enum.with_index(1)
-            |> Enum.map(fn {item, new_order} -> %{id: item.id, order: new_order} end)
-
-          "after" ->
-            # Insert after reference item
-            current_items
-            |> List.delete_at(item_index)
-            |> List.insert_at(
-              if item_index < reference_index do
-                reference_index
-              else
-                reference_index + 1
-              end,
-              Enum.at(current_items, item_index)
-            )
-            |> Enum.with_index(1)
-            |> Enum.map(fn {item, new_order} -> %{id: item.id, order: new_order} end)
-        end
+  @impl true
+  def handle_event(
+        "reorder_items",
+        %{"item_ids" => item_ids, "reference_id" => reference_id, "position" => position},
+        socket
+      ) do
+    # A multi-selection dragged as one block is stored as a single reorder
+    case reordered_positions(socket.assigns.todo_items, item_ids, reference_id, position) do
+      {:ok, new_orders} ->
+        apply_reorder(new_orders, socket)
 
-      # Update database
-      case Lists.reorder_todo_items(
-             new_orders,
-             socket.assigns.todo_list.id,
-             socket.assigns.client_id
-           ) do
-        {:ok, _} ->
+      :error ->
+        {:noreply, put_flash(socket, :error, "Could not find items to reorder")}
+    end
+  end
+
+  @impl true
+  def handle_event("move_items", %{"item_ids" => item_ids, "todo_list_id" => target_id}, socket)
+      when is_list(item_ids) do
+    items = Enum.filter(socket.assigns.todo_items, &(&1.id in item_ids))
+    target_list = Lists.get_todo_list(target_id)
+
+    if is_nil(target_list) or target_list.id == socket.assigns.todo_list.id or items == [] do
+      {:noreply, put_flash(socket, :error, "Could not move items")}
+    else
+      case Lists.move_todo_items(items, target_list, socket.assigns.client_id) do
+        {:ok, moved_items} ->
+          # Collaborators on both lists see the items disappear and appear
           broadcast_updated(socket.assigns.todo_list.id)
+          broadcast_updated(target_list.id)
 
-          # Reload the todo list
           updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+          noun = if length(moved_items) == 1, do: "task", else: "tasks"
+          message = "Moved #{length(moved_items)} #{noun} to \"#{target_list.title}\""
 
           socket =
             socket
             |> assign(:todo_list, updated_todo_list)
             |> assign(:todo_items, updated_todo_list.todo_items)
             |> reload_history()
+            |> put_flash(:info, message)
 
           {:noreply, socket}
 
         {:error, _} ->
-          {:noreply, put_flash(socket, :error, "Failed to reorder items")}
+          {:noreply, put_flash(socket, :error, "Failed to move items")}
       end
-    else
-      {:noreply, put_flash(socket, :error, "Could not find items to reorder")}
     end
   end
 
   @impl true
   def handle_event("save_item", params, socket) do
-    # Handle both form submit (with "text") and blur event (with "value") formats
-    {id, text} =
-      case params do
-        %{"id" => id, "text" => text} ->
-          {id, text}
+    save_item(params, socket.assigns.client_id, socket)
+  end
 
-        %{"id" => id, "value" => text} ->
-          {id, text}
+  @impl true
+  def handle_event("resolve_conflict", _params, %{assigns: %{merge_conflict: nil}} = socket) do
+    {:noreply, socket}
+  end
 
-        %{"text" => text} when is_map(params) ->
-          # Form submission from the form itself
-          id = get_in(params, ["id"]) || socket.assigns.editing_item_id
-          {id, text}
+  @impl true
+  def handle_event("resolve_conflict", %{"resolution" => resolution} = params, socket)
+      when resolution in ["theirs", "mine", "combined"] do
+    conflict = socket.assigns.merge_conflict
+
+    # The list keeps the latest items, todo_items the version being edited
+    latest_items = socket.assigns.todo_list.todo_items
+
+    text =
+      case resolution do
+        "theirs" -> conflict.remote
+        "mine" -> conflict.local
+        "combined" -> normalize_item_text(params["text"])
       end
 
-    item = Enum.find(socket.assigns.todo_items, &(&1.id == id))
+    with %{} = item <- Enum.find(latest_items, &(&1.id == conflict.item_id)),
+         {:ok, _item} <-
+           Lists.resolve_item_conflict(
+             item,
+             text,
+             conflict,
+             resolution,
+             socket.assigns.client_id
+           ) do
+      broadcast_updated(socket.assigns.todo_list.id)
+      updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
 
-    # If text is empty or just whitespace, provide a default
-    final_text = if String.trim(text) == "", do: "New task", else: text
+      socket =
+        socket
+        |> assign(:todo_list, updated_todo_list)
+        |> assign(:todo_items, updated_todo_list.todo_items)
+        |> assign_editing_item(nil)
+        |> reload_history()
 
-    case Lists.update_todo_item(item, %{text: final_text}, socket.assigns.client_id) do
-      {:ok, updated_item} ->
-        broadcast_updated(socket.assigns.todo_list.id)
+      {:noreply, socket}
+    else
+      nil -> {:noreply, put_flash(socket, :error, "Item no longer exists")}
+      {:error, _changeset} -> {:noreply, put_flash(socket, :error, "Failed to save the merge")}
+    end
+  end
 
-        # Reload the todo list to get updated latest_updated_at
-        updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+  @impl true
+  def handle_event("resolve_conflict", _params, socket) do
+    {:noreply, socket}
+  end
 
-        updated_items =
-          Enum.map(socket.assigns.todo_items, fn
-            %{id: ^id} -> updated_item
-            other -> other
-          end)
+  @impl true
+  def handle_event("cancel_merge", _params, socket) do
+    # Back to editing, the dialog opens again on the next save
+    {:noreply, update(socket, :merge_conflict, &%{&1 | local: nil})}
+  end
 
-        socket =
-          socket
-          |> assign(:todo_list, updated_todo_list)
-          |> assign(:todo_items, updated_items)
-          |> assign(:editing_item_id, nil)
-          |> reload_history()
+  @impl true
+  def handle_event("undo", _params, socket) do
+    case Undo.undo(socket.assigns.todo_list, socket.assigns.client_id) do
+      {:ok, entry} ->
+        {:noreply, after_undo(socket, entry, "redo")}
+
+      {:error, :nothing_to_undo} ->
+        {:noreply, put_flash(socket, :error, "Nothing to undo")}
+
+      # The change is skipped from now on, history shows it
+      {:error, _reason} ->
+        {:noreply,
+         socket |> reload_history() |> put_flash(:error, "Could not undo the last change")}
+    end
+  end
 
-        {:noreply, socket}
+  @impl true
+  def handle_event("redo", _params, socket) do
+    case Undo.redo(socket.assigns.todo_list, socket.assigns.client_id) do
+      {:ok, entry} ->
+        {:noreply, after_undo(socket, entry, "undo")}
 
-      {:error, _changeset} ->
-        {:noreply, put_flash(socket, :error, "Failed to update item")}
+      {:error, :nothing_to_redo} ->
+        {:noreply, put_flash(socket, :error, "Nothing to redo")}
+
+      {:error, _reason} ->
+        {:noreply, put_flash(socket, :error, "Could not redo the change")}
     end
   end
 
+  @impl true
+  def handle_event("set_display_name", %{"name" => name}, socket) do
+    display_name = Presence.display_name(name, socket.assigns.client_id)
+
+    if socket.assigns.client_id do
+      Presence.update_viewer(
+        self(),
+        socket.assigns.todo_list.id,
+        socket.assigns.client_id,
+        %{name: display_name}
+      )
+    end
+
+    {:reply, %{name: display_name}, assign(socket, :display_name, display_name)}
+  end
+
   @impl true
   def handle_event("start_focus_timer", %{"id" => id}, socket) do
     {:noreply, assign(socket, :focus_timer, %{item_id: id, timer_ref: nil, show_modal: true})}
@@ -413,182 +544,837 @@ defmodule TodoListerWeb.TodoListLive do
   end
 
   @impl true
-  def handle_event(
-        "set_focus_timer",
-        %{"item_id" => id, "minutes" => min_str, "seconds" => sec_str},
+  def handle_event("set_focus_timer", %{"item_id" => id} = params, socket) do
+    # The same ranges the timer form allows
+    minutes = parse_integer_in(params["minutes"], 0..99)
+    seconds = parse_integer_in(params["seconds"], 0..59)
+
+    if minutes && seconds && minutes * 60 + seconds > 0 do
+      {:noreply, start_focus(socket, id, minutes * 60 + seconds, nil)}
+    else
+      {:noreply, put_flash(socket, :error, "Please enter a valid time")}
+    end
+  end
+
+  @impl true
+  def handle_event("set_pomodoro_timer", %{"item_id" => id} = params, socket) do
+    # The same ranges the settings form allows
+    work_minutes = parse_integer_in(params["work_minutes"], 1..99)
+    short_break_minutes = parse_integer_in(params["short_break_minutes"], 1..99)
+    long_break_minutes = parse_integer_in(params["long_break_minutes"], 1..99)
+    long_break_every = parse_integer_in(params["long_break_every"], 1..12)
+
+    if work_minutes && short_break_minutes && long_break_minutes && long_break_every do
+      pomodoro =
+        Focus.new_pomodoro(
+          work_minutes * 60,
+          short_break_minutes * 60,
+          long_break_minutes * 60,
+          long_break_every
+        )
+
+      {:noreply, start_focus(socket, id, Focus.phase_seconds(pomodoro), pomodoro)}
+    else
+      {:noreply, put_flash(socket, :error, "Please enter valid Pomodoro settings")}
+    end
+  end
+
+  @impl true
+  def handle_event("pause_focus_timer", _params, socket) do
+    if socket.assigns.focus_item_id && !socket.assigns.focus_paused do
+      cancel_focus_timer_ref(socket)
+      remaining = focus_remaining_seconds(socket)
+
+      socket =
         socket
-      ) do
-    minutes = String.to_integer(min_str || "0")
-    seconds = String.to_integer(sec_str || "0")
-    total_seconds = minutes * 60 + seconds
-
-    if total_seconds > 0 do
-      # Cancel existing timer if any
-      if socket.assigns.focus_timer.timer_ref do
-        Process.cancel_timer(socket.assigns.focus_timer.timer_ref)
-      end
+        |> update_focus_record(&Focus.pause_focus_timer/1)
+        |> assign(:focus_timer, %{item_id: nil, timer_ref: nil, show_modal: false})
+        |> assign(:focus_end_time, nil)
+        |> assign(:focus_paused, true)
+        |> assign(:focus_remaining, remaining)
 
-      # Start new timer
-      timer_ref = Process.send_after(self(), {:focus_timer_complete, id}, total_seconds * 1000)
-      end_time = System.system_time(:second) + total_seconds
+      {:noreply, socket}
+    else
+      {:noreply, socket}
+    end
+  end
 
+  @impl true
+  def handle_event("resume_focus_timer", _params, socket) do
+    if socket.assigns.focus_item_id && socket.assigns.focus_paused do
       socket =
         socket
-        |> assign(:focus_timer, %{item_id: nil, timer_ref: timer_ref, show_modal: false})
-        |> assign(:focus_item_id, id)
-        |> assign(:focus_end_time, end_time)
+        |> update_focus_record(&Focus.resume_focus_timer/1)
+        |> run_focus_timer(socket.assigns.focus_item_id, socket.assigns.focus_remaining)
 
       {:noreply, socket}
     else
-      {:noreply, put_flash(socket, :error, "Please enter a valid time")}
+      {:noreply, socket}
     end
   end
 
+  @impl true
+  def handle_event("sync_focus_timer", _params, socket) do
+    # FocusCountdown asks for this after a reconnect instead of trusting its own clock
+    reply = %{
+      item_id: socket.assigns.focus_item_id,
+      end_time: socket.assigns.focus_end_time,
+      paused: socket.assigns.focus_paused,
+      remaining: socket.assigns.focus_remaining,
+      server_now: System.system_time(:second)
+    }
+
+    {:reply, reply, socket}
+  end
+
   @impl true
   def handle_event("stop_focus_timer", _params, socket) do
     # Cancel the timer if it exists
-    if socket.assigns.focus_timer.timer_ref do
-      Process.cancel_timer(socket.assigns.focus_timer.timer_ref)
+    cancel_focus_timer_ref(socket)
+
+    if socket.assigns.focus_item_id do
+      actual_seconds = socket.assigns.focus_duration - focus_remaining_seconds(socket)
+
+      socket =
+        socket
+        |> record_focus_session(:stopped, actual_seconds)
+        |> clear_focus_timer()
+
+      {:noreply, socket}
+    else
+      {:noreply, clear_focus_timer(socket)}
+    end
+  end
+
+  @impl true
+  def handle_info({:focus_timer_complete, item_id}, socket) do
+    # Ignore completions of timers that were stopped, replaced or paused meanwhile
+    cond do
+      socket.assigns.focus_item_id != item_id or socket.assigns.focus_paused ->
+        {:noreply, socket}
+
+      socket.assigns.focus_pomodoro ->
+        {:noreply, advance_pomodoro(socket, item_id)}
+
+      true ->
+        # Only the view that removes the timer records it, other tabs follow along
+        case claim_focus_record(socket, &Focus.complete_focus_timer/1) do
+          {:ok, _record} ->
+            socket =
+              socket
+              |> record_focus_session(:completed, socket.assigns.focus_duration)
+              |> assign(:focus_record, nil)
+              |> clear_focus_timer()
+              |> push_event("focus-complete", %{
+                item_id: item_id,
+                message: gettext("Focus time complete!")
+              })
+
+            {:noreply, socket}
+
+          {:error, :stale} ->
+            {:noreply, follow_focus_timer(socket)}
+        end
     end
+  end
+
+  @impl true
+  def handle_info(:perform_refresh, socket) do
+    # Reload all data from database
+    updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+    updated_history = History.get_list_history(socket.assigns.todo_list.id, limit: 20)
 
     socket =
       socket
-      |> assign(:focus_timer, %{item_id: nil, timer_ref: nil, show_modal: false})
-      |> assign(:focus_item_id, nil)
-      |> assign(:focus_end_time, nil)
+      |> assign(:todo_list, updated_todo_list)
+      |> assign(:todo_items, updated_todo_list.todo_items)
+      |> assign(:history, updated_history)
+      |> assign(:page_title, updated_todo_list.title)
+      |> put_flash(:info, "List refreshed")
+
+    # Schedule re-enabling the button after another second
+    Process.send_after(self(), :enable_refresh, 1000)
 
     {:noreply, socket}
   end
 
   @impl true
-  def handle_info({:focus_timer_complete, item_id}, socket) do
+  def handle_info(:enable_refresh, socket) do
+    {:noreply, assign(socket, :refresh_loading, false)}
+  end
+
+  @impl true
+  def handle_info(%Phoenix.Socket.Broadcast{event: "presence_diff"}, socket) do
+    viewers = Presence.list_viewers(socket.assigns.todo_list.id)
+
     socket =
       socket
-      |> assign(:focus_timer, %{item_id: nil, timer_ref: nil, show_modal: false})
-      |> assign(:focus_item_id, nil)
-      |> assign(:focus_end_time, nil)
-      |> push_event("focus-complete", %{item_id: item_id, message: "Focus time complete!"})
+      |> assign(:viewers, viewers)
+      |> assign(:editors, editors_by_item(viewers, socket.assigns.client_id))
+
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_info({:updated, sender_pid}, socket) do
+    if sender_pid == self() do
+      # Ignore updates from this same process to avoid showing "another user" message
+      {:noreply, socket}
+    else
+      # Handle as external update
+      handle_info(:updated, socket)
+    end
+  end
+
+  @impl true
+  def handle_info(:updated, socket) do
+    # Reload the full todo list from database when any change occurs
+    updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+    # Reload history (limit to recent 20 entries)
+    updated_history = History.get_list_history(socket.assigns.todo_list.id, limit: 20)
+
+    # Check if user is currently editing something
+    currently_editing_title = socket.assigns.editing_title
+    currently_editing_item_id = socket.assigns.editing_item_id
+
+    # Preserve editing state for items and apply optimistic locking
+    {updated_items, conflict_toast, merge_conflict} =
+      if currently_editing_item_id do
+        # Find the item being edited in both current and updated state
+        current_editing_item =
+          Enum.find(socket.assigns.todo_items, &(&1.id == currently_editing_item_id))
+
+        updated_editing_item =
+          Enum.find(updated_todo_list.todo_items, &(&1.id == currently_editing_item_id))
+
+        # Check if the item being edited was changed externally
+        conflict =
+          current_editing_item && updated_editing_item &&
+            current_editing_item.text != updated_editing_item.text
+
+        preserved_items =
+          if current_editing_item do
+            # Keep current version of editing item, update all others
+            Enum.map(updated_todo_list.todo_items, fn item ->
+              if item.id == currently_editing_item_id do
+                current_editing_item
+              else
+                item
+              end
+            end)
+          else
+            updated_todo_list.todo_items
+          end
+
+        toast =
+          if conflict do
+            {:warning,
+             "Another user changed this task while you were editing. " <>
+               "You can merge both versions when you save.",
+             actions: [%{label: "Discard my edit", event: "discard_edit_item"}]}
+          else
+            {:info, "List updated by another user.", []}
+          end
+
+        merge_conflict =
+          if conflict do
+            track_merge_conflict(
+              socket.assigns.merge_conflict,
+              current_editing_item,
+              updated_editing_item
+            )
+          end
+
+        {preserved_items, toast, merge_conflict}
+      else
+        {updated_todo_list.todo_items, {:info, "List updated by another user.", []}, nil}
+      end
+
+    # Only show title conflict if we're not editing the title
+    title_conflict =
+      not currently_editing_title and
+        socket.assigns.todo_list.title != updated_todo_list.title
+
+    socket =
+      socket
+      |> assign(:todo_list, updated_todo_list)
+      |> assign(:todo_items, updated_items)
+      |> assign(:merge_conflict, merge_conflict || socket.assigns.merge_conflict)
+      |> assign(:history, updated_history)
+      |> assign(:focus_totals, Focus.focused_seconds_by_item(updated_todo_list.id))
+      |> stop_focus_on_missing_item()
+
+    socket =
+      if currently_editing_title do
+        # Preserve current title while editing
+        socket
+      else
+        assign(socket, :page_title, updated_todo_list.title)
+      end
+
+    # Show notification about external changes
+    socket =
+      if (title_conflict or currently_editing_item_id) and
+           socket.assigns.live_action != :present do
+        {severity, message, opts} = conflict_toast
+        push_toast(socket, severity, message, opts)
+      else
+        socket
+      end
 
     {:noreply, socket}
   end
 
-  @impl true
-  def handle_info(:perform_refresh, socket) do
-    # Reload all data from database
+  # Focus mode ends when its item was moved to another list or deleted elsewhere
+  defp stop_focus_on_missing_item(socket) do
+    item_id = socket.assigns.focus_item_id
+
+    if item_id && !Enum.any?(socket.assigns.todo_items, &(&1.id == item_id)) do
+      cancel_focus_timer_ref(socket)
+      clear_focus_timer(socket)
+    else
+      socket
+    end
+  end
+
+  # Picks up a focus timer persisted by an earlier page load of this client
+  defp restore_focus_timer(socket, nil), do: socket
+
+  defp restore_focus_timer(socket, record) do
+    cond do
+      !Enum.any?(socket.assigns.todo_items, &(&1.id == record.todo_item_id)) ->
+        Focus.delete_focus_timer(record)
+        socket
+
+      record.status == :paused ->
+        socket
+        |> assign(:focus_record, record)
+        |> assign(:focus_pomodoro, Focus.pomodoro(record))
+        |> assign(:focus_duration, record.duration_seconds)
+        |> assign(:focus_item_id, record.todo_item_id)
+        |> assign(:focus_paused, true)
+        |> assign(:focus_remaining, record.remaining_seconds)
+
+      true ->
+        socket
+        |> assign(:focus_record, record)
+        |> assign(:focus_pomodoro, Focus.pomodoro(record))
+        |> assign(:focus_duration, record.duration_seconds)
+        |> run_focus_timer(record.todo_item_id, Focus.remaining_seconds(record))
+    end
+  end
+
+  defp start_focus(socket, item_id, seconds, pomodoro) do
+    # Cancel existing timer if any
+    cancel_focus_timer_ref(socket)
+
+    # Persist the timer so a reload or reconnect can pick it up again
+    focus_record =
+      with %{} = item <- Enum.find(socket.assigns.todo_items, &(&1.id == item_id)),
+           client_id when not is_nil(client_id) <- socket.assigns.client_id,
+           {:ok, record} <- Focus.start_focus_timer(item, client_id, seconds, pomodoro) do
+        record
+      else
+        _ -> nil
+      end
+
+    socket
+    |> assign(:focus_record, focus_record)
+    |> assign(:focus_pomodoro, pomodoro)
+    |> assign(:focus_duration, seconds)
+    |> run_focus_timer(item_id, seconds)
+  end
+
+  # Ends the current Pomodoro phase and starts the next one right away, unless
+  # another view of this client already did
+  defp advance_pomodoro(socket, item_id) do
+    pomodoro = Focus.advance_pomodoro(socket.assigns.focus_pomodoro)
+
+    case claim_focus_record(socket, &Focus.start_pomodoro_phase(&1, pomodoro)) do
+      {:ok, record} ->
+        socket
+        |> assign(:focus_record, record)
+        |> start_next_phase(item_id, pomodoro)
+
+      {:error, :stale} ->
+        follow_focus_timer(socket)
+    end
+  end
+
+  defp start_next_phase(socket, item_id, pomodoro) do
+    finished = socket.assigns.focus_pomodoro
+    seconds = Focus.phase_seconds(pomodoro)
+
+    socket =
+      if finished.phase == :work do
+        Lists.record_pomodoro_completed(item_id)
+
+        socket
+        |> record_focus_session(:completed, socket.assigns.focus_duration)
+        |> update(:todo_items, fn items ->
+          Enum.map(items, fn
+            %{id: ^item_id} = item -> %{item | pomodoros_completed: item.pomodoros_completed + 1}
+            item -> item
+          end)
+        end)
+      else
+        socket
+      end
+
+    {event, message} =
+      case pomodoro.phase do
+        :work -> {"break-over", gettext("Break over, back to focus!")}
+        :short_break -> {"break-started", gettext("Time for a short break")}
+        :long_break -> {"break-started", gettext("Time for a long break")}
+      end
+
+    socket
+    |> assign(:focus_pomodoro, pomodoro)
+    |> assign(:focus_duration, seconds)
+    |> run_focus_timer(item_id, seconds)
+    |> push_event(event, %{
+      item_id: item_id,
+      phase: pomodoro.phase,
+      completed_cycles: pomodoro.completed_cycles,
+      seconds: seconds,
+      message: message
+    })
+  end
+
+  defp parse_integer_in(value, range) when is_binary(value) do
+    case Integer.parse(value) do
+      {number, ""} -> if number in range, do: number
+      _ -> nil
+    end
+  end
+
+  defp parse_integer_in(_value, _range), do: nil
+
+  defp run_focus_timer(socket, item_id, seconds) do
+    timer_ref = Process.send_after(self(), {:focus_timer_complete, item_id}, seconds * 1000)
+    end_time = System.system_time(:second) + seconds
+
+    socket
+    |> assign(:focus_timer, %{item_id: nil, timer_ref: timer_ref, show_modal: false})
+    |> assign(:focus_item_id, item_id)
+    |> assign(:focus_end_time, end_time)
+    |> assign(:focus_paused, false)
+    |> assign(:focus_remaining, nil)
+  end
+
+  defp cancel_focus_timer_ref(socket) do
+    if socket.assigns.focus_timer.timer_ref do
+      Process.cancel_timer(socket.assigns.focus_timer.timer_ref)
+    end
+  end
+
+  defp update_focus_record(socket, fun) do
+    case socket.assigns.focus_record && fun.(socket.assigns.focus_record) do
+      {:ok, record} -> assign(socket, :focus_record, record)
+      _ -> socket
+    end
+  end
+
+  # Persisted timers are changed only by the view that claims the run it saw
+  defp claim_focus_record(%{assigns: %{focus_record: nil}}, _fun), do: {:ok, nil}
+  defp claim_focus_record(socket, fun), do: fun.(socket.assigns.focus_record)
+
+  # Shows the timer as another view of this client left it, without recording anything
+  defp follow_focus_timer(socket) do
+    record = Focus.get_focus_timer(socket.assigns.todo_list.id, socket.assigns.client_id)
+
+    socket
+    |> assign(:focus_record, nil)
+    |> clear_focus_timer()
+    |> restore_focus_timer(record)
+  end
+
+  defp clear_focus_timer(socket) do
+    if socket.assigns.focus_record do
+      Focus.delete_focus_timer(socket.assigns.focus_record)
+    end
+
+    socket
+    |> assign(:focus_timer, %{item_id: nil, timer_ref: nil, show_modal: false})
+    |> assign(:focus_item_id, nil)
+    |> assign(:focus_end_time, nil)
+    |> assign(:focus_paused, false)
+    |> assign(:focus_remaining, nil)
+    |> assign(:focus_record, nil)
+    |> assign(:focus_pomodoro, nil)
+    |> assign(:focus_duration, nil)
+  end
+
+  defp focus_remaining_seconds(%{assigns: %{focus_paused: true}} = socket) do
+    socket.assigns.focus_remaining
+  end
+
+  defp focus_remaining_seconds(socket) do
+    max(0, socket.assigns.focus_end_time - System.system_time(:second))
+  end
+
+  # Keeps the focused part of the current timer; Pomodoro breaks aren't focus time
+  defp record_focus_session(socket, outcome, actual_seconds) do
+    item = Enum.find(socket.assigns.todo_items, &(&1.id == socket.assigns.focus_item_id))
+    planned_seconds = socket.assigns.focus_duration
+
+    with false <- pomodoro_break?(socket.assigns.focus_pomodoro),
+         %{} <- item,
+         true <- actual_seconds > 0,
+         {:ok, _session} <-
+           Focus.record_focus_session(
+             item,
+             socket.assigns.client_id,
+             planned_seconds,
+             actual_seconds,
+             outcome
+           ) do
+      broadcast_updated(socket.assigns.todo_list.id)
+
+      socket
+      |> assign(:focus_totals, Focus.focused_seconds_by_item(socket.assigns.todo_list.id))
+      |> reload_history()
+    else
+      _ -> socket
+    end
+  end
+
+  # Moves the given items, keeping their relative order, as one block before or
+  # after the reference item and returns the new order values for every item
+  defp reordered_positions(items, item_ids, reference_id, position)
+       when is_list(item_ids) and position in ["before", "after"] do
+    current_items = Enum.sort_by(items, & &1.order)
+    {moved, remaining} = Enum.split_with(current_items, &(&1.id in item_ids))
+    reference_index = Enum.find_index(remaining, &(&1.id == reference_id))
+
+    if reference_index && moved != [] && length(moved) == length(Enum.uniq(item_ids)) do
+      insert_index = if position == "before", do: reference_index, else: reference_index + 1
+
+      new_orders =
+        (Enum.take(remaining, insert_index) ++ moved ++ Enum.drop(remaining, insert_index))
+        |> Enum.with_index(1)
+        |> Enum.map(fn {item, new_order} -> %{id: item.id, order: new_order} end)
+
+      {:ok, new_orders}
+    else
+      :error
+    end
+  end
+
+  defp reordered_positions(_items, _item_ids, _reference_id, _position), do: :error
+
+  defp apply_reorder(new_orders, socket) do
+    # Update database
+    case Lists.reorder_todo_items(
+           new_orders,
+           socket.assigns.todo_list.id,
+           socket.assigns.client_id
+         ) do
+      {:ok, _} ->
+        broadcast_updated(socket.assigns.todo_list.id)
+
+        # Reload the todo list
+        updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+        socket =
+          socket
+          |> assign(:todo_list, updated_todo_list)
+          |> assign(:todo_items, updated_todo_list.todo_items)
+          |> reload_history()
+
+        {:noreply, socket}
+
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to reorder items")}
+    end
+  end
+
+  # Items queued while offline arrive with their text, so create them directly
+  defp add_queued_item(text, client_id, socket) do
+    case Lists.create_todo_item(socket.assigns.todo_list, %{text: text}, client_id) do
+      {:ok, new_item} ->
+        broadcast_updated(socket.assigns.todo_list.id)
+
+        # Reload the todo list to get updated latest_updated_at
+        updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+        socket =
+          socket
+          |> assign(:todo_list, updated_todo_list)
+          |> assign(:todo_items, socket.assigns.todo_items ++ [new_item])
+          |> reload_history()
+
+        {:noreply, socket}
+
+      {:error, _changeset} ->
+        {:noreply, put_flash(socket, :error, "Failed to add item")}
+    end
+  end
+
+  defp toggle_status(%{"id" => id} = params, client_id, socket) do
+    case Enum.find(socket.assigns.todo_items, &(&1.id == id)) do
+      nil ->
+        # The item may have been deleted while a queued toggle was waiting
+        {:noreply, put_flash(socket, :error, "Item no longer exists")}
+
+      # Clicks carry the status they set, so a toggle replayed from the offline
+      # queue doesn't flip a status a collaborator changed in the meantime
+      %{status: status} = item ->
+        case Map.get(@item_statuses, params["status"], next_status(status)) do
+          ^status -> {:noreply, socket}
+          new_status -> set_item_status(item, new_status, client_id, socket)
+        end
+    end
+  end
+
+  defp next_status(:todo), do: :done
+  defp next_status(:done), do: :todo
+  defp next_status(:wont_do), do: :todo
+
+  defp set_item_status(item, new_status, client_id, socket) do
+    id = item.id
+
+    case Lists.update_todo_item(item, %{status: new_status}, client_id) do
+      {:ok, updated_item} ->
+        broadcast_updated(socket.assigns.todo_list.id)
+
+        # Reload the todo list to get updated latest_updated_at
+        updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+        updated_items =
+          Enum.map(socket.assigns.todo_items, fn
+            %{id: ^id} -> updated_item
+            other -> other
+          end)
+
+        socket =
+          socket
+          |> assign(:todo_list, updated_todo_list)
+          |> assign(:todo_items, updated_items)
+          |> reload_history()
+
+        {:noreply, socket}
+
+      {:error, _changeset} ->
+        {:noreply, put_flash(socket, :error, "Failed to update status")}
+    end
+  end
+
+  defp save_item(params, client_id, socket) do
+    # Handle both form submit (with "text") and blur event (with "value") formats
+    {id, text} =
+      case params do
+        %{"id" => id, "text" => text} ->
+          {id, text}
+
+        %{"id" => id, "value" => text} ->
+          {id, text}
+
+        %{"text" => text} when is_map(params) ->
+          # Form submission from the form itself
+          id = get_in(params, ["id"]) || socket.assigns.editing_item_id
+          {id, text}
+      end
+
+    merging? = match?(%{item_id: ^id}, socket.assigns.merge_conflict)
+
+    case Enum.find(socket.assigns.todo_items, &(&1.id == id)) do
+      nil ->
+        {:noreply, put_flash(socket, :error, "Item no longer exists")}
+
+      # Saving over another user's change merges both versions instead
+      _item when merging? ->
+        {:noreply, merge_draft(socket, normalize_item_text(text))}
+
+      item ->
+        save_item_text(item, text, client_id, socket)
+    end
+  end
+
+  defp save_item_text(item, text, client_id, socket) do
+    id = item.id
+
+    case Lists.update_todo_item(item, %{text: normalize_item_text(text)}, client_id) do
+      {:ok, updated_item} ->
+        broadcast_updated(socket.assigns.todo_list.id)
+
+        # Reload the todo list to get updated latest_updated_at
+        updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+
+        updated_items =
+          Enum.map(socket.assigns.todo_items, fn
+            %{id: ^id} -> updated_item
+            other -> other
+          end)
+
+        socket =
+          socket
+          |> assign(:todo_list, updated_todo_list)
+          |> assign(:todo_items, updated_items)
+          |> assign_editing_item(nil)
+          |> reload_history()
+
+        {:noreply, socket}
+
+      {:error, _changeset} ->
+        {:noreply, put_flash(socket, :error, "Failed to update item")}
+    end
+  end
+
+  # The change an undo or redo entry refers to, shaped like a history entry
+  defp undo_change(entry) do
+    %{
+      change_type: get_in(entry.new_data, ["change_type"]),
+      old_data: get_in(entry.new_data, ["old_data"]),
+      new_data: get_in(entry.new_data, ["new_data"])
+    }
+  end
+
+  # Shows the list as an undo or redo left it, offering the opposite action
+  defp after_undo(socket, entry, next_action) do
+    broadcast_updated(socket.assigns.todo_list.id)
+
+    # Undoing or redoing a move changes the list the item went to as well
+    with %{"change_type" => "item_moved_out", "new_data" => %{"todo_list_id" => id}} <-
+           entry.new_data do
+      broadcast_updated(id)
+    end
+
     updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
-    updated_history = History.get_list_history(socket.assigns.todo_list.id, limit: 20)
 
-    socket =
-      socket
-      |> assign(:todo_list, updated_todo_list)
-      |> assign(:todo_items, updated_todo_list.todo_items)
-      |> assign(:history, updated_history)
-      |> assign(:page_title, updated_todo_list.title)
-      |> put_flash(:info, "List refreshed")
+    socket
+    |> assign(:todo_list, updated_todo_list)
+    |> assign(:todo_items, updated_todo_list.todo_items)
+    |> assign(:page_title, updated_todo_list.title)
+    |> assign_editing_item(nil)
+    |> reload_history()
+    |> put_undo_flash(format_history_entry(entry), next_action)
+  end
 
-    # Schedule re-enabling the button after another second
-    Process.send_after(self(), :enable_refresh, 1000)
+  # Toasts are shown by app.js, each action pushes its event back to this view
+  defp push_toast(socket, severity, message, opts \\ []) do
+    push_event(socket, "toast", %{
+      severity: severity,
+      message: message,
+      actions: Keyword.get(opts, :actions, [])
+    })
+  end
 
-    {:noreply, socket}
+  defp pasted_item_attrs(item) do
+    status = Map.get(@item_statuses, item["status"], :todo)
+    text = item["text"] |> to_string() |> String.trim() |> String.slice(0, 500)
+
+    %{text: text, status: status}
   end
 
-  @impl true
-  def handle_info(:enable_refresh, socket) do
-    {:noreply, assign(socket, :refresh_loading, false)}
+  # An info flash offering to undo or redo the change it reports
+  defp put_undo_flash(socket, message, event) do
+    socket
+    |> put_flash(:info, message)
+    |> assign(:flash_action, %{message: message, event: event})
   end
 
-  @impl true
-  def handle_info({:updated, sender_pid}, socket) do
-    if sender_pid == self() do
-      # Ignore updates from this same process to avoid showing "another user" message
-      {:noreply, socket}
-    else
-      # Handle as external update
-      handle_info(:updated, socket)
+  # Editing state is shared through presence, so others see who edits which item
+  defp assign_editing_item(socket, item_id) do
+    %{client_id: client_id, editing_item_id: editing_item_id} = socket.assigns
+
+    if connected?(socket) and client_id != nil and editing_item_id != item_id do
+      Presence.update_viewer(self(), socket.assigns.todo_list.id, client_id, %{
+        editing_item_id: item_id
+      })
     end
+
+    # A merge conflict only lasts as long as the edit it belongs to
+    merge_conflict =
+      case socket.assigns.merge_conflict do
+        %{item_id: ^item_id} = merge_conflict -> merge_conflict
+        _ -> nil
+      end
+
+    assign(socket, editing_item_id: item_id, merge_conflict: merge_conflict)
   end
 
-  @impl true
-  def handle_info(:updated, socket) do
-    # Reload the full todo list from database when any change occurs
-    updated_todo_list = Lists.get_todo_list_with_items!(socket.assigns.todo_list.id)
+  # If text is empty or just whitespace, provide a default
+  defp normalize_item_text(text) do
+    if String.trim(to_string(text)) == "", do: "New task", else: text
+  end
 
-    # Reload history (limit to recent 20 entries)
-    updated_history = History.get_list_history(socket.assigns.todo_list.id, limit: 20)
+  # An unchanged draft or one that matches the other user's text takes their
+  # version and ends the edit, only diverged drafts open the merge dialog
+  defp merge_draft(
+         %{assigns: %{merge_conflict: %{original: original, remote: remote}}} = socket,
+         text
+       )
+       when text in [original, remote] do
+    socket
+    |> assign(:todo_items, socket.assigns.todo_list.todo_items)
+    |> assign_editing_item(nil)
+  end
 
-    # Check if user is currently editing something
-    currently_editing_title = socket.assigns.editing_title
-    currently_editing_item_id = socket.assigns.editing_item_id
+  defp merge_draft(socket, text) do
+    update(socket, :merge_conflict, &%{&1 | local: text})
+  end
 
-    # Preserve editing state for items and apply optimistic locking
-    {updated_items, conflict_message} =
-      if currently_editing_item_id do
-        # Find the item being edited in both current and updated state
-        current_editing_item =
-          Enum.find(socket.assigns.todo_items, &(&1.id == currently_editing_item_id))
+  # Keeps the text the edit started from when the item changes remotely again
+  defp track_merge_conflict(%{item_id: id} = merge_conflict, %{id: id}, remote_item) do
+    %{merge_conflict | remote: remote_item.text}
+  end
 
-        updated_editing_item =
-          Enum.find(updated_todo_list.todo_items, &(&1.id == currently_editing_item_id))
+  defp track_merge_conflict(_merge_conflict, editing_item, remote_item) do
+    %{item_id: editing_item.id, original: editing_item.text, remote: remote_item.text, local: nil}
+  end
 
-        # Check if the item being edited was changed externally
-        conflict =
-          current_editing_item && updated_editing_item &&
-            current_editing_item.text != updated_editing_item.text
+  # Items the add button created and nobody named yet keep the "New task" text
+  # Lists knows them by, it is only translated for display
+  defp placeholder?(item), do: item.text == "New task"
 
-        preserved_items =
-          if current_editing_item do
-            # Keep current version of editing item, update all others
-            Enum.map(updated_todo_list.todo_items, fn item ->
-              if item.id == currently_editing_item_id do
-                current_editing_item
-              else
-                item
-              end
-            end)
-          else
-            updated_todo_list.todo_items
-          end
+  defp item_text(item) do
+    if placeholder?(item), do: gettext("New task"), else: item.text
+  end
 
-        message =
-          if conflict do
-            "List updated by another user. Your current edit is preserved."
-          else
-            "List updated by another user."
-          end
+  # Other viewers per item they are editing
+  defp editors_by_item(viewers, client_id) do
+    for viewer <- viewers,
+        viewer.client_id != client_id,
+        item_id <- viewer.editing_item_ids,
+        reduce: %{} do
+      editors -> Map.update(editors, item_id, [viewer], &(&1 ++ [viewer]))
+    end
+  end
 
-        {preserved_items, message}
-      else
-        {updated_todo_list.todo_items, "List updated by another user."}
-      end
+  defp editor_names(nil), do: nil
+  defp editor_names(editors), do: Enum.map_join(editors, ", ", & &1.name)
 
-    # Only show title conflict if we're not editing the title
-    title_conflict =
-      not currently_editing_title and
-        socket.assigns.todo_list.title != updated_todo_list.title
+  defp initials(name) do
+    name
+    |> String.split()
+    |> Enum.take(2)
+    |> Enum.map_join(&String.first/1)
+    |> String.upcase()
+  end
 
-    socket =
-      socket
-      |> assign(:todo_list, updated_todo_list)
-      |> assign(:todo_items, updated_items)
-      |> assign(:history, updated_history)
+  defp format_focus_duration(seconds) when seconds < 60, do: "#{seconds}s"
+  defp format_focus_duration(seconds) when seconds < 3600, do: "#{div(seconds, 60)}m"
 
-    socket =
-      if currently_editing_title do
-        # Preserve current title while editing
-        socket
-      else
-        assign(socket, :page_title, updated_todo_list.title)
-      end
+  defp format_focus_duration(seconds) do
+    "#{div(seconds, 3600)}h #{seconds |> rem(3600) |> div(60)}m"
+  end
 
-    # Show notification about external changes
-    socket =
-      if title_conflict or currently_editing_item_id do
-        put_flash(socket, :info, conflict_message)
-      else
-        socket
-      end
+  defp pomodoro_break?(%{phase: phase}), do: phase in [:short_break, :long_break]
+  defp pomodoro_break?(_pomodoro), do: false
 
-    {:noreply, socket}
+  defp pomodoro_phase_label(:work), do: "Focus"
+  defp pomodoro_phase_label(:short_break), do: "Short break"
+  defp pomodoro_phase_label(:long_break), do: "Long break"
+
+  # Position within the current set of cycles; a break belongs to the cycle it follows
+  defp pomodoro_cycle(%{phase: :work} = pomodoro) do
+    rem(pomodoro.completed_cycles, pomodoro.long_break_every) + 1
+  end
+
+  defp pomodoro_cycle(pomodoro) do
+    rem(pomodoro.completed_cycles - 1, pomodoro.long_break_every) + 1
   end
 
   # Helper function to format history entries for display
@@ -614,6 +1400,15 @@ defmodule TodoListerWeb.TodoListLive do
         new_text = get_in(entry.new_data, ["text"])
         "Task text changed from \"#{old_text}\" to \"#{new_text}\""
 
+      "item_conflict_resolved" ->
+        text = get_in(entry.new_data, ["text"])
+
+        case get_in(entry.new_data, ["resolution"]) do
+          "theirs" -> "Edit conflict resolved, kept the other version: \"#{text}\""
+          "mine" -> "Edit conflict resolved, kept own version: \"#{text}\""
+          _ -> "Edit conflict resolved, combined into \"#{text}\""
+        end
+
       "item_status_updated" ->
         old_status = get_in(entry.old_data, ["status"])
         new_status = get_in(entry.new_data, ["status"])
@@ -630,27 +1425,75 @@ defmodule TodoListerWeb.TodoListLive do
         text = get_in(entry.old_data, ["text"])
         "Deleted task: \"#{text}\""
 
+      "item_moved_out" ->
+        text = get_in(entry.old_data, ["text"])
+        list_title = get_in(entry.new_data, ["todo_list_title"])
+        "Moved task \"#{text}\" to \"#{list_title}\""
+
+      "item_moved_in" ->
+        text = get_in(entry.new_data, ["text"])
+        list_title = get_in(entry.old_data, ["todo_list_title"])
+        "Moved task \"#{text}\" here from \"#{list_title}\""
+
+      "items_created" ->
+        count = length(get_in(entry.new_data, ["items"]) || [])
+        "Added #{count} tasks"
+
       "items_reordered" ->
         reorder_data = get_in(entry.new_data, ["reorder_data"])
         count = length(reorder_data || [])
         "Reordered #{count} tasks"
 
+      "change_undone" ->
+        "Undid: " <> format_history_entry(undo_change(entry))
+
+      "change_redone" ->
+        "Redid: " <> format_history_entry(undo_change(entry))
+
+      "change_skipped" ->
+        "Could not undo: " <> format_history_entry(undo_change(entry))
+
+      "focus_session" ->
+        text = get_in(entry.new_data, ["text"])
+        focused = format_focus_duration(get_in(entry.new_data, ["actual_seconds"]))
+
+        case get_in(entry.new_data, ["outcome"]) do
+          "stopped" ->
+            planned = format_focus_duration(get_in(entry.new_data, ["planned_seconds"]))
+            "Focused #{focused} of #{planned} on \"#{text}\", stopped early"
+
+          _ ->
+            "Focused #{focused} on \"#{text}\""
+        end
+
       _ ->
         "Unknown change: #{entry.change_type}"
     end
   end
 
   @impl true
+  def render(%{live_action: :present} = assigns) do
+    ~H"""
+    <.presentation todo_list={@todo_list} todo_items={@todo_items} />
+    """
+  end
+
   def render(assigns) do
     ~H"""
-    <.navbar />
-    <div class="min-h-screen bg-gradient-to-br from-orange-50 to-orange-100">
-      <.flash :if={@flash["info"]} kind={:info} flash={@flash} />
+    <.navbar class="print:hidden" />
+    <div class="min-h-screen bg-gradient-to-br from-orange-50 to-orange-100 dark:from-base-300 dark:to-base-200 print:min-h-0 print:bg-none">
+      <.flash :if={@flash["info"]} kind={:info} flash={@flash}>
+        <:action :if={@flash_action && @flash_action.message == @flash["info"]}>
+          <button type="button" phx-click={@flash_action.event} class="underline cursor-pointer">
+            {if @flash_action.event == "undo", do: "Undo", else: "Redo"}
+          </button>
+        </:action>
+      </.flash>
       <.flash :if={@flash["error"]} kind={:error} flash={@flash} />
       <div class="container mx-auto px-4 py-8">
         <div class="max-w-4xl mx-auto">
           <!-- Combined Todo List Card -->
-          <div class="card bg-base-100 shadow-xl">
+          <div class="card bg-base-100 shadow-xl print:shadow-none">
             <div class="card-body">
               <!-- Header with Title and Action Buttons -->
               <div class="flex items-start justify-between mb-6">
@@ -675,7 +1518,51 @@ defmodule TodoListerWeb.TodoListLive do
                   <% end %>
                 </div>
 
-                <div class="flex items-center gap-3">
+                <div class="flex items-center gap-3 print:hidden">
+                  <div
+                    :if={@viewers != []}
+                    id="presence-bar"
+                    class="flex items-center -space-x-2"
+                    aria-label="People viewing this list"
+                  >
+                    <div
+                      :for={viewer <- @viewers}
+                      id={"viewer-#{viewer.client_id}"}
+                      class={[
+                        "w-8 h-8 rounded-full flex items-center justify-center",
+                        "text-xs font-semibold text-white ring-2 ring-base-100",
+                        viewer.client_id == @client_id && "ring-offset-1 ring-orange-300"
+                      ]}
+                      style={"background-color: #{viewer.color}"}
+                      title={
+                        if viewer.client_id == @client_id,
+                          do: "#{viewer.name} (you)",
+                          else: viewer.name
+                      }
+                    >
+                      {initials(viewer.name)}
+                    </div>
+                  </div>
+                  <input
+                    id="display-name"
+                    type="text"
+                    phx-hook="DisplayName"
+                    phx-update="ignore"
+                    value={@display_name}
+                    maxlength="40"
+                    placeholder="Your name"
+                    aria-label="Your display name"
+                    class="input input-sm input-ghost w-28"
+                  />
+                  <span
+                    id="offline-queue"
+                    phx-hook="OfflineQueue"
+                    phx-update="ignore"
+                    data-list-id={@todo_list.id}
+                    class="hidden badge badge-warning whitespace-nowrap"
+                    title="Changes made while offline are sent once the connection is back"
+                  >
+                  </span>
                   <button
                     phx-click="add_item"
                     class="btn btn-circle btn-primary bg-orange-500 border-orange-500 hover:bg-orange-600 hover:border-orange-600"
@@ -724,13 +1611,11 @@ defmodule TodoListerWeb.TodoListLive do
                       </svg>
                     <% end %>
                   </button>
-                  <button
-                    phx-click="copy_share_link"
+                  <.link
+                    id="present-link"
+                    navigate={~p"/tl/#{@todo_list.id}/present"}
                     class="btn btn-circle btn-primary bg-orange-500 border-orange-500 hover:bg-orange-600 hover:border-orange-600"
-                    phx-hook="CopyToClipboard"
-                    id="share-button"
-                    data-url={url(~p"/tl/#{@todo_list.id}")}
-                    title="Share this list"
+                    title="Present this list"
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -743,15 +1628,142 @@ defmodule TodoListerWeb.TodoListLive do
                         stroke-linecap="round"
                         stroke-linejoin="round"
                         stroke-width="2"
-                        d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+                        d="M3 4h18M4 4v10a2 2 0 002 2h12a2 2 0 002-2V4M12 16v4m-4 0h8"
                       />
                     </svg>
-                  </button>
+                  </.link>
+                  <div id="export-menu" class="dropdown dropdown-end">
+                    <div
+                      tabindex="0"
+                      role="button"
+                      class="btn btn-circle btn-primary bg-orange-500 border-orange-500 hover:bg-orange-600 hover:border-orange-600"
+                      title="Export this list"
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        class="h-6 w-6"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          stroke-linecap="round"
+                          stroke-linejoin="round"
+                          stroke-width="2"
+                          d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                        />
+                      </svg>
+                    </div>
+                    <ul
+                      tabindex="0"
+                      class="dropdown-content menu z-20 mt-2 w-52 rounded-box bg-base-100 p-2 shadow-xl"
+                    >
+                      <li :for={{format, label} <- @export_formats}>
+                        <a
+                          id={"export-#{format}"}
+                          href={~p"/tl/#{@todo_list.id}/export/#{format}"}
+                          download={Export.filename(@todo_list, format)}
+                        >
+                          {label}
+                        </a>
+                      </li>
+                    </ul>
+                  </div>
+                  <div class="relative">
+                    <button
+                      class="btn btn-circle btn-primary bg-orange-500 border-orange-500 hover:bg-orange-600 hover:border-orange-600"
+                      phx-hook="SharePopover"
+                      id="share-button"
+                      data-url={url(~p"/tl/#{@todo_list.id}")}
+                      data-title={@todo_list.title}
+                      aria-haspopup="dialog"
+                      aria-controls="share-panel"
+                      aria-expanded="false"
+                      title="Share this list"
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        class="h-6 w-6"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          stroke-linecap="round"
+                          stroke-linejoin="round"
+                          stroke-width="2"
+                          d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+                        />
+                      </svg>
+                    </button>
+                    <!-- Opened by the SharePopover hook, which also draws the QR code -->
+                    <div
+                      id="share-panel"
+                      phx-update="ignore"
+                      role="dialog"
+                      aria-label="Share this list"
+                      class="hidden absolute right-0 z-20 mt-2 w-64 rounded-box bg-base-100 p-4 shadow-xl border border-base-300"
+                    >
+                      <div
+                        data-share-qr
+                        class="mx-auto w-48 h-48 bg-white"
+                        aria-label="QR code of the list link"
+                      >
+                      </div>
+                      <p class="mt-2 text-xs text-center text-base-content/60">
+                        Scan to open this list on another device
+                      </p>
+                      <input
+                        type="text"
+                        readonly
+                        data-share-url
+                        value={url(~p"/tl/#{@todo_list.id}")}
+                        class="input input-sm input-bordered w-full mt-3 text-xs"
+                        aria-label="List link"
+                      />
+                      <div class="mt-3 flex gap-2">
+                        <button
+                          type="button"
+                          data-share-native
+                          class="hidden btn btn-sm flex-1"
+                        >
+                          Share…
+                        </button>
+                        <button
+                          type="button"
+                          id="copy-share-link"
+                          phx-click="copy_share_link"
+                          phx-hook="CopyToClipboard"
+                          data-url={url(~p"/tl/#{@todo_list.id}")}
+                          class="btn btn-sm flex-1 bg-orange-500 border-orange-500 text-white hover:bg-orange-600"
+                        >
+                          Copy link
+                        </button>
+                      </div>
+                    </div>
+                  </div>
                 </div>
               </div>
               
     <!-- Todo Items List -->
-              <div class="space-y-2 min-h-[100px]" phx-hook="DragDrop" id="todo-items-container">
+              <p id="reorder-instructions" class="sr-only">
+                Press Space to pick up a task, use the arrow keys to move it,
+                Space or Enter to drop it and Escape to cancel.
+              </p>
+              <div
+                id="reorder-announcer"
+                class="sr-only"
+                aria-live="assertive"
+                aria-atomic="true"
+                phx-update="ignore"
+              >
+              </div>
+              <div
+                class="space-y-2 min-h-[100px]"
+                phx-hook="DragDrop"
+                id="todo-items-container"
+                data-drop-list-id={@todo_list.id}
+              >
                 <%= if @todo_items == [] do %>
                   <div class="text-center py-12 text-gray-500">
                     <svg
@@ -776,23 +1788,36 @@ defmodule TodoListerWeb.TodoListLive do
                     <div
                       class={[
                         "flex items-center gap-3 p-3 rounded-lg border transition-all cursor-pointer",
-                        item.status == :done && "bg-green-50 border-green-200",
-                        item.status == :wont_do && "bg-red-50 border-red-200 opacity-75",
-                        item.status == :todo && "bg-white border-gray-200 hover:border-orange-300",
                         @editing_item_id == item.id &&
-                          "bg-orange-50 border-orange-300 ring-2 ring-orange-200"
+                          "bg-primary/10 border-primary/50 ring-2 ring-primary/30",
+                        @editing_item_id != item.id && item.status == :done &&
+                          "bg-success/10 border-success/30",
+                        @editing_item_id != item.id && item.status == :wont_do &&
+                          "bg-error/10 border-error/30 opacity-75",
+                        @editing_item_id != item.id && item.status == :todo &&
+                          "bg-base-100 border-base-300 hover:border-primary/50",
+                        @editors[item.id] && "outline-2 outline-offset-2"
                       ]}
+                      style={
+                        @editors[item.id] &&
+                          "outline-style: solid; outline-color: #{hd(@editors[item.id]).color}"
+                      }
                       data-draggable
                       data-item-id={item.id}
+                      data-item-text={item_text(item)}
                       phx-click="edit_item"
                       phx-value-id={item.id}
                     >
                       <!-- Drag Handle -->
                       <div
-                        class="flex-shrink-0 cursor-grab active:cursor-grabbing text-gray-400 hover:text-gray-600 p-1 rounded hover:bg-gray-100 transition-colors"
+                        class="print:hidden flex-shrink-0 cursor-grab active:cursor-grabbing text-gray-400 hover:text-gray-600 p-1 rounded hover:bg-gray-100 transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-orange-400"
                         data-drag-handle
                         phx-click="prevent_edit"
                         title="Drag to reorder"
+                        tabindex="0"
+                        role="button"
+                        aria-label={"Reorder \"#{item.text}\""}
+                        aria-describedby="reorder-instructions"
                       >
                         <svg
                           xmlns="http://www.w3.org/2000/svg"
@@ -816,6 +1841,7 @@ defmodule TodoListerWeb.TodoListLive do
                       <button
                         phx-click="toggle_status"
                         phx-value-id={item.id}
+                        phx-value-status={next_status(item.status)}
                         class={[
                           "flex-shrink-0 w-6 h-6 rounded border-2 flex items-center justify-center transition-colors",
                           item.status == :done && "bg-green-500 border-green-500",
@@ -869,29 +1895,56 @@ defmodule TodoListerWeb.TodoListLive do
                               class={[
                                 "w-full bg-transparent border-0 outline-none focus:outline-none cursor-pointer",
                                 "p-0 m-0 font-inherit leading-inherit",
-                                item.status == :todo && "text-gray-900",
-                                item.status == :done && "line-through text-gray-500",
-                                item.status == :wont_do && "line-through text-red-600"
+                                item.status == :todo && "text-base-content",
+                                item.status == :done && "line-through text-base-content/60",
+                                item.status == :wont_do && "line-through text-error"
                               ]}
                               phx-blur="save_item"
                               phx-value-id={item.id}
                               phx-hook="FocusInput"
                               id={"edit-item-#{item.id}"}
+                              data-paste-items
+                              data-placeholder-item={placeholder?(item)}
+                              data-editors={editor_names(@editors[item.id])}
                             />
                           </form>
                         <% else %>
                           <span class={[
-                            item.status == :todo && "text-gray-900",
-                            item.status == :done && "line-through text-gray-500",
-                            item.status == :wont_do && "line-through text-red-600"
+                            item.status == :todo && "text-base-content",
+                            item.status == :done && "line-through text-base-content/60",
+                            item.status == :wont_do && "line-through text-error"
                           ]}>
-                            {item.text}
+                            {item_text(item)}
                           </span>
                         <% end %>
+                        <span
+                          :for={editor <- @editors[item.id] || []}
+                          class="ml-2 badge badge-sm text-white border-0 whitespace-nowrap"
+                          style={"background-color: #{editor.color}"}
+                          data-editor={editor.client_id}
+                        >
+                          {editor.name} is editing
+                        </span>
+                        <span
+                          :if={item.pomodoros_completed > 0}
+                          id={"pomodoros-#{item.id}"}
+                          class="ml-2 text-xs text-red-600 whitespace-nowrap"
+                          title={"#{item.pomodoros_completed} Pomodoro cycles completed"}
+                        >
+                          🍅 {item.pomodoros_completed}
+                        </span>
+                        <span
+                          :if={@focus_totals[item.id]}
+                          id={"focus-total-#{item.id}"}
+                          class="ml-2 text-xs text-gray-500 whitespace-nowrap"
+                          title="Total focused time"
+                        >
+                          ⏱ {format_focus_duration(@focus_totals[item.id])}
+                        </span>
                       </div>
                       
     <!-- Action Buttons -->
-                      <div class="flex gap-1">
+                      <div class="flex gap-1 print:hidden">
                         <!-- Focus Timer Button -->
                         <%= if @focus_item_id != item.id do %>
                           <button
@@ -987,7 +2040,7 @@ defmodule TodoListerWeb.TodoListLive do
               </div>
               
     <!-- Footer with Metadata and Actions -->
-              <div class="mt-8 pt-6 border-t border-gray-200">
+              <div class="mt-8 pt-6 border-t border-base-300">
                 <div class="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
                   <div class="flex flex-col sm:flex-row gap-4 sm:gap-6 text-sm text-gray-600">
                     <div>
@@ -999,6 +2052,9 @@ defmodule TodoListerWeb.TodoListLive do
                       {Calendar.strftime(@todo_list.latest_updated_at, "%B %d, %Y at %I:%M %p")}
                     </div>
                   </div>
+                  <p class="hidden sm:block print:hidden text-xs text-gray-500">
+                    Press <kbd class="kbd kbd-xs">?</kbd> for keyboard shortcuts
+                  </p>
                 </div>
               </div>
             </div>
@@ -1006,8 +2062,8 @@ defmodule TodoListerWeb.TodoListLive do
         </div>
         
     <!-- History Section -->
-        <div class="max-w-4xl mx-auto mt-12 mb-8">
-          <div class="bg-orange-100/60 px-6 py-6">
+        <div class="max-w-4xl mx-auto mt-12 mb-8 print:hidden">
+          <div class="bg-orange-100/60 dark:bg-base-100/60 px-6 py-6">
             <h2 class="text-base font-normal text-gray-600 mb-4">Recent Changes</h2>
 
             <%= if @history == [] do %>
@@ -1031,10 +2087,124 @@ defmodule TodoListerWeb.TodoListLive do
       </div>
     </div>
 
+    <!-- Drop targets for moving items to another list, shown by DragDrop while dragging -->
+    <div
+      :if={@other_lists != []}
+      id="list-drop-targets"
+      phx-update="ignore"
+      class="hidden fixed top-24 right-4 z-40 w-56 bg-base-100 rounded-lg shadow-xl border border-base-300 p-3"
+      data-drop-targets
+    >
+      <p class="text-xs font-semibold text-gray-500 uppercase mb-2">Move to list</p>
+      <div class="space-y-1">
+        <div
+          :for={list <- @other_lists}
+          class="px-3 py-2 rounded-md border border-dashed border-gray-300 text-sm text-gray-700 truncate transition-colors"
+          data-drop-list-id={list.id}
+        >
+          {list.title}
+        </div>
+      </div>
+    </div>
+
+    <!-- Keyboard Shortcuts -->
+    <div id="keyboard-shortcuts" phx-hook="Shortcuts" phx-update="ignore">
+      <div
+        class="hidden fixed inset-0 bg-black/50 z-50"
+        data-shortcuts-overlay
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-shortcuts-title"
+      >
+        <div class="h-full flex items-center justify-center">
+          <div class="bg-base-100 p-6 rounded-lg shadow-xl max-w-sm w-full mx-4">
+            <h3 id="keyboard-shortcuts-title" class="text-lg font-semibold mb-4">
+              Keyboard shortcuts
+            </h3>
+            <dl class="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm text-gray-700">
+              <dt><kbd class="kbd kbd-sm">n</kbd></dt>
+              <dd>Add a new task</dd>
+              <dt><kbd class="kbd kbd-sm">j</kbd> <kbd class="kbd kbd-sm">k</kbd></dt>
+              <dd>Select the next or previous task</dd>
+              <dt><kbd class="kbd kbd-sm">x</kbd></dt>
+              <dd>Toggle the selected task's status</dd>
+              <dt><kbd class="kbd kbd-sm">e</kbd></dt>
+              <dd>Edit the selected task</dd>
+              <dt><kbd class="kbd kbd-sm">d</kbd></dt>
+              <dd>Mark the selected task as won't do</dd>
+              <dt><kbd class="kbd kbd-sm">f</kbd></dt>
+              <dd>Start a focus timer on the selected task</dd>
+              <dt><kbd class="kbd kbd-sm">r</kbd></dt>
+              <dd>Refresh the list</dd>
+              <dt><kbd class="kbd kbd-sm">?</kbd></dt>
+              <dd>Show or hide this help</dd>
+              <dt><kbd class="kbd kbd-sm">Ctrl</kbd> <kbd class="kbd kbd-sm">K</kbd></dt>
+              <dd>Open the command palette</dd>
+              <dt><kbd class="kbd kbd-sm">Ctrl</kbd> <kbd class="kbd kbd-sm">Z</kbd></dt>
+              <dd>Undo your last change</dd>
+              <dt>
+                <kbd class="kbd kbd-sm">Ctrl</kbd>
+                <kbd class="kbd kbd-sm">Shift</kbd>
+                <kbd class="kbd kbd-sm">Z</kbd>
+              </dt>
+              <dd>Redo what you undid</dd>
+            </dl>
+            <button
+              type="button"
+              data-shortcuts-close
+              class="mt-6 w-full bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Command Palette -->
+    <div id="command-palette" phx-hook="CommandPalette" phx-update="ignore">
+      <div
+        class="hidden fixed inset-0 bg-black/50 z-50"
+        data-palette-overlay
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+      >
+        <div class="flex justify-center pt-24 px-4">
+          <div class="bg-base-100 rounded-lg shadow-xl max-w-lg w-full overflow-hidden">
+            <p data-palette-context class="hidden px-4 pt-3 text-xs text-gray-500"></p>
+            <input
+              type="text"
+              data-palette-input
+              placeholder="Type a command or search tasks…"
+              autocomplete="off"
+              role="combobox"
+              aria-expanded="true"
+              aria-controls="command-palette-results"
+              class="w-full px-4 py-3 border-0 border-b border-base-300 focus:outline-none text-base-content bg-base-100"
+            />
+            <ul
+              id="command-palette-results"
+              data-palette-results
+              role="listbox"
+              class="max-h-80 overflow-y-auto py-2"
+            >
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Merge Dialog for concurrent edits of the item being edited -->
+    <.merge_dialog :if={@merge_conflict && @merge_conflict.local} conflict={@merge_conflict} />
+
     <!-- Focus Timer Modal -->
     <%= if @focus_timer.show_modal do %>
-      <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div class="bg-white p-6 rounded-lg shadow-xl max-w-sm w-full mx-4">
+      <div
+        id="focus-timer-modal"
+        class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      >
+        <div class="bg-base-100 p-6 rounded-lg shadow-xl max-w-sm w-full mx-4">
           <h3 class="text-lg font-semibold mb-4">Set Focus Timer</h3>
           <form phx-submit="set_focus_timer" phx-value-item_id={@focus_timer.item_id}>
             <div class="flex gap-2 mb-4">
@@ -1046,7 +2216,7 @@ defmodule TodoListerWeb.TodoListLive do
                   min="0"
                   max="99"
                   value="5"
-                  class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
                 />
               </div>
               <div class="flex-1">
@@ -1057,7 +2227,7 @@ defmodule TodoListerWeb.TodoListLive do
                   min="0"
                   max="59"
                   value="0"
-                  class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
                 />
               </div>
             </div>
@@ -1077,14 +2247,91 @@ defmodule TodoListerWeb.TodoListLive do
               </button>
             </div>
           </form>
+          <div class="divider text-sm text-gray-500">or</div>
+          <h3 class="text-lg font-semibold mb-4">Pomodoro</h3>
+          <form phx-submit="set_pomodoro_timer" phx-value-item_id={@focus_timer.item_id}>
+            <div class="grid grid-cols-2 gap-2 mb-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Work (min)</label>
+                <input
+                  type="number"
+                  name="work_minutes"
+                  min="1"
+                  max="99"
+                  value="25"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
+                />
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">
+                  Short break (min)
+                </label>
+                <input
+                  type="number"
+                  name="short_break_minutes"
+                  min="1"
+                  max="99"
+                  value="5"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
+                />
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">
+                  Long break (min)
+                </label>
+                <input
+                  type="number"
+                  name="long_break_minutes"
+                  min="1"
+                  max="99"
+                  value="15"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
+                />
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">
+                  Long break every
+                </label>
+                <input
+                  type="number"
+                  name="long_break_every"
+                  min="1"
+                  max="12"
+                  value="4"
+                  class="w-full px-3 py-2 border border-base-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-base-content bg-base-100"
+                />
+              </div>
+            </div>
+            <button
+              type="submit"
+              class="w-full bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+              Start Pomodoro
+            </button>
+          </form>
         </div>
       </div>
     <% end %>
 
     <!-- Focus Mode -->
     <%= if @focus_item_id do %>
-      <div class="fixed inset-0 bg-gray-500 z-50 flex items-center justify-center" id="focus-mode">
+      <div
+        class={[
+          "fixed inset-0 z-50 flex items-center justify-center",
+          if(pomodoro_break?(@focus_pomodoro), do: "bg-emerald-600", else: "bg-gray-500")
+        ]}
+        id="focus-mode"
+      >
         <div class="text-center">
+          <div :if={@focus_pomodoro} id="pomodoro-status" class="text-white/90 mb-4">
+            <p class="text-xl font-semibold uppercase tracking-wide">
+              {pomodoro_phase_label(@focus_pomodoro.phase)}
+            </p>
+            <p class="text-sm">
+              Cycle {pomodoro_cycle(@focus_pomodoro)} of {@focus_pomodoro.long_break_every}
+              · {@focus_pomodoro.completed_cycles} completed
+            </p>
+          </div>
           <h1 class="text-4xl font-bold text-white mb-8">
             {Enum.find(@todo_items, &(&1.id == @focus_item_id)).text}
           </h1>
@@ -1093,21 +2340,225 @@ defmodule TodoListerWeb.TodoListLive do
             phx-hook="FocusCountdown"
             id="countdown-timer"
             data-end-time={@focus_end_time}
+            data-paused={to_string(@focus_paused)}
+            data-remaining={@focus_remaining}
+            data-server-now={System.system_time(:second)}
           >
             --:--
           </div>
-          <button
-            phx-click="stop_focus_timer"
-            class="bg-white text-gray-800 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+          <p :if={@focus_paused} class="text-lg text-white/80 -mt-4 mb-8">Paused</p>
+          <div class="flex justify-center gap-3">
+            <button
+              :if={!@focus_paused}
+              phx-click="pause_focus_timer"
+              class="bg-white/20 text-white px-8 py-3 rounded-lg font-semibold hover:bg-white/30 transition-colors"
+            >
+              Pause
+            </button>
+            <button
+              :if={@focus_paused}
+              phx-click="resume_focus_timer"
+              class="bg-white/20 text-white px-8 py-3 rounded-lg font-semibold hover:bg-white/30 transition-colors"
+            >
+              Resume
+            </button>
+            <button
+              phx-click="stop_focus_timer"
+              class="bg-white text-gray-800 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+            >
+              Stop Focus
+            </button>
+          </div>
+          <div
+            id="focus-preferences"
+            phx-hook="FocusPreferences"
+            phx-update="ignore"
+            class="mt-8 flex flex-wrap justify-center gap-x-6 gap-y-2 text-sm text-white/90"
           >
-            Stop Focus
-          </button>
+            <label class="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                data-preference="notifications"
+                class="checkbox checkbox-sm"
+              />
+              Desktop notification
+            </label>
+            <label class="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" data-preference="sound" class="checkbox checkbox-sm" /> Sound
+            </label>
+            <label class="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                data-preference="titleCountdown"
+                class="checkbox checkbox-sm"
+              />
+              Countdown in tab title
+            </label>
+            <p data-notification-hint class="hidden w-full text-white/70"></p>
+          </div>
         </div>
       </div>
-      <style>
+      <style :if={!pomodoro_break?(@focus_pomodoro)}>
         body { background-color: #6b7280 !important; }
       </style>
+      <style :if={pomodoro_break?(@focus_pomodoro)}>
+        body { background-color: #059669 !important; }
+      </style>
     <% end %>
     """
   end
+
+  attr :conflict, :map, required: true
+
+  # The three versions of a task this client and another one both edited, with
+  # what each changed compared to the text the edit started from
+  defp merge_dialog(assigns) do
+    ~H"""
+    <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div
+        id="merge-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="merge-dialog-title"
+        class="bg-base-100 p-6 rounded-lg shadow-xl max-w-3xl w-full mx-4"
+      >
+        <h3 id="merge-dialog-title" class="text-lg font-semibold">Merge changes</h3>
+        <p class="text-sm text-gray-500 mt-1 mb-4">
+          Another user changed this task while you were editing it.
+        </p>
+        <div class="grid gap-4 sm:grid-cols-3">
+          <section id="merge-original">
+            <h4 class="text-xs font-semibold uppercase text-gray-500 mb-1">Original</h4>
+            <p class="break-words">{@conflict.original}</p>
+          </section>
+          <section id="merge-theirs">
+            <h4 class="text-xs font-semibold uppercase text-gray-500 mb-1">Their version</h4>
+            <p class="break-words">
+              <.word_diff segments={WordDiff.diff(@conflict.original, @conflict.remote)} />
+            </p>
+            <button
+              type="button"
+              phx-click="resolve_conflict"
+              phx-value-resolution="theirs"
+              class="btn btn-sm mt-2"
+            >
+              Keep theirs
+            </button>
+          </section>
+          <section id="merge-mine">
+            <h4 class="text-xs font-semibold uppercase text-gray-500 mb-1">Your version</h4>
+            <p class="break-words">
+              <.word_diff segments={WordDiff.diff(@conflict.original, @conflict.local)} />
+            </p>
+            <button
+              type="button"
+              phx-click="resolve_conflict"
+              phx-value-resolution="mine"
+              class="btn btn-sm mt-2"
+            >
+              Keep mine
+            </button>
+          </section>
+        </div>
+        <form id="merge-combined" phx-submit="resolve_conflict" class="mt-6">
+          <input type="hidden" name="resolution" value="combined" />
+          <label for="merge-combined-text" class="block text-sm font-medium mb-1">
+            Or combine both
+          </label>
+          <input
+            id="merge-combined-text"
+            type="text"
+            name="text"
+            value={@conflict.local}
+            class="input input-bordered w-full"
+          />
+          <div class="flex justify-end gap-2 mt-4">
+            <button type="button" phx-click="cancel_merge" class="btn btn-ghost">
+              Back to editing
+            </button>
+            <button
+              type="submit"
+              class="btn bg-orange-500 border-orange-500 text-white hover:bg-orange-600"
+            >
+              Save combined
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+    """
+  end
+
+  attr :segments, :list, required: true
+
+  # Added words are highlighted, removed ones struck through
+  defp word_diff(assigns) do
+    ~H"""
+    <span
+      :for={{op, text} <- @segments}
+      class={[
+        op == :ins && "bg-green-100 text-green-800",
+        op == :del && "bg-red-100 text-red-700 line-through"
+      ]}
+    >{text}</span>
+    """
+  end
+
+  attr :todo_list, :map, required: true
+  attr :todo_items, :list, required: true
+
+  # Read-only view for wall screens, kept up to date like the list page itself
+  defp presentation(assigns) do
+    assigns =
+      assign(assigns,
+        done_count: Enum.count(assigns.todo_items, &(&1.status == :done)),
+        font_size: presentation_font_size(length(assigns.todo_items))
+      )
+
+    ~H"""
+    <div
+      id="presentation"
+      class="min-h-screen bg-base-100 px-[4vw] py-[4vh] print:min-h-0"
+      style={"font-size: #{@font_size}"}
+    >
+      <header class="flex items-baseline justify-between gap-8 mb-[0.6em]">
+        <h1 class="text-[1.6em] font-bold leading-tight">{@todo_list.title}</h1>
+        <p id="presentation-progress" class="text-[0.6em] text-gray-500 whitespace-nowrap">
+          {@done_count} of {length(@todo_items)} done
+        </p>
+      </header>
+      <p :if={@todo_items == []} class="text-gray-500">No todo items yet</p>
+      <ol class="space-y-[0.3em]">
+        <li
+          :for={item <- @todo_items}
+          id={"present-#{item.id}"}
+          class={[
+            "flex items-start gap-[0.5em] leading-snug break-inside-avoid",
+            item.status == :done && "line-through text-gray-500",
+            item.status == :wont_do && "line-through text-red-600/70"
+          ]}
+        >
+          <span aria-hidden="true">{presentation_status_symbol(item.status)}</span>
+          <span>{item_text(item)}</span>
+        </li>
+      </ol>
+      <.link
+        navigate={~p"/tl/#{@todo_list.id}"}
+        class="fixed bottom-4 right-4 text-sm text-gray-400 hover:text-gray-700 print:hidden"
+      >
+        Exit presentation
+      </.link>
+    </div>
+    """
+  end
+
+  # Shorter lists get larger text so they fill the screen, longer ones scroll
+  defp presentation_font_size(item_count) do
+    size = (50 / max(item_count, 1)) |> min(6.0) |> max(1.6) |> Float.round(2)
+    "clamp(1rem, #{size}vh, 5rem)"
+  end
+
+  defp presentation_status_symbol(:todo), do: "☐"
+  defp presentation_status_symbol(:done), do: "☑"
+  defp presentation_status_symbol(:wont_do), do: "☒"
 end
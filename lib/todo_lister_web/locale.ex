@@ -0,0 +1,155 @@
+defmodule TodoListerWeb.Locale do
+  @moduledoc """
+  Picks the locale of a request and hands it on to LiveViews and app.js.
+
+  The locale comes from a `?locale=` parameter, the session or the browser's
+  Accept-Language header, in that order, and is kept in the session so the
+  language picker's choice sticks. LiveViews set it again in `on_mount/4`,
+  app.js reads its strings from the catalog `client_messages/0` builds, which
+  the root layout embeds.
+  """
+  @behaviour Plug
+
+  use Gettext, backend: TodoListerWeb.Gettext
+  import Plug.Conn
+
+  @locales [{"en", "English"}, {"de", "Deutsch"}]
+  @default_locale "en"
+
+  @doc """
+  The locales the language picker offers, as `{locale, name}` tuples.
+  """
+  def locales, do: @locales
+
+  @impl Plug
+  def init(opts), do: opts
+
+  @impl Plug
+  def call(conn, _opts) do
+    locale =
+      supported(conn.params["locale"]) || supported(get_session(conn, "locale")) ||
+        accepted_locale(conn) || @default_locale
+
+    Gettext.put_locale(TodoListerWeb.Gettext, locale)
+    put_session(conn, "locale", locale)
+  end
+
+  @doc """
+  Sets the locale the plug stored in the session for a LiveView process.
+  """
+  def on_mount(:default, _params, session, socket) do
+    Gettext.put_locale(TodoListerWeb.Gettext, supported(session["locale"]) || @default_locale)
+    {:cont, socket}
+  end
+
+  @doc """
+  The strings app.js shows, translated to the current locale and keyed by
+  their English msgid.
+
+  Placeholders such as `%{count}` are left for app.js to fill in. Plurals are
+  a msgid per form, app.js picks the singular one for a count of one.
+  """
+  def client_messages do
+    Map.new(client_msgids(), &{&1, translate_client(&1)})
+  end
+
+  defp client_msgids do
+    [
+      dgettext_noop("client", "New task"),
+      dgettext_noop("client", "Cancel"),
+      dgettext_noop("client", "Dismiss"),
+      dgettext_noop("client", "%{count} task"),
+      dgettext_noop("client", "%{count} tasks"),
+      dgettext_noop("client", "%{count} pending change"),
+      dgettext_noop("client", "%{count} pending changes"),
+      # Importing lists
+      dgettext_noop("client", "Plain text"),
+      dgettext_noop("client", "This file is not valid JSON."),
+      dgettext_noop("client", "This CSV file doesn't look like a Todoist export."),
+      dgettext_noop("client", "This JSON file doesn't look like a Trello board export."),
+      dgettext_noop("client", "This file is too large to import."),
+      dgettext_noop("client", "This file could not be read."),
+      dgettext_noop("client", "No tasks were found in this file."),
+      dgettext_noop("client", "%{format} · %{tasks}"),
+      dgettext_noop("client", "%{format} · %{tasks}, only the first %{limit} are imported"),
+      dgettext_noop("client", "Import %{tasks}"),
+      # Editing and pasting tasks
+      dgettext_noop("client", "%{names} is already editing this task. Edit it anyway?"),
+      dgettext_noop("client", "%{names} are already editing this task. Edit it anyway?"),
+      dgettext_noop("client", "Add %{tasks}?"),
+      dgettext_noop("client", "Add %{tasks}"),
+      # Command palette
+      dgettext_noop("client", "Rename list"),
+      dgettext_noop("client", "Share list"),
+      dgettext_noop("client", "Copy share link"),
+      dgettext_noop("client", "Export as Markdown"),
+      dgettext_noop("client", "Export as CSV"),
+      dgettext_noop("client", "Export as JSON"),
+      dgettext_noop("client", "Present list"),
+      dgettext_noop("client", "Print list"),
+      dgettext_noop("client", "Add task"),
+      dgettext_noop("client", "Refresh list"),
+      dgettext_noop("client", "Undo last change"),
+      dgettext_noop("client", "Redo"),
+      dgettext_noop("client", "Start focus timer"),
+      dgettext_noop("client", "Toggle task status"),
+      dgettext_noop("client", "Edit task"),
+      dgettext_noop("client", "Jump to task"),
+      dgettext_noop("client", "%{command}: pick a task"),
+      dgettext_noop("client", "Task: %{task}"),
+      dgettext_noop("client", "No matches"),
+      dgettext_noop("client", "Command"),
+      dgettext_noop("client", "Task"),
+      # Reordering
+      dgettext_noop("client", "↕ Drop here"),
+      dgettext_noop("client", "↕ Drop %{count} tasks here"),
+      dgettext_noop(
+        "client",
+        "Picked up %{task}, %{position}. " <>
+          "Use the arrow keys to move, Space or Enter to drop, Escape to cancel."
+      ),
+      dgettext_noop("client", "Moved to %{position}."),
+      dgettext_noop("client", "Dropped %{task} at %{position}."),
+      dgettext_noop("client", "Reorder cancelled, %{task} is back at %{position}."),
+      dgettext_noop("client", "position %{index} of %{count}"),
+      dgettext_noop("client", "%{count} task selected."),
+      dgettext_noop("client", "%{count} tasks selected."),
+      # Focus timer
+      dgettext_noop("client", "Notifications are not supported in this browser"),
+      dgettext_noop("client", "Notifications are blocked for this site"),
+      dgettext_noop("client", "Focus time complete!"),
+      dgettext_noop("client", "Time for a break"),
+      dgettext_noop("client", "Break over, back to focus!"),
+      dgettext_noop("client", "%{minutes} min · %{count} cycle done"),
+      dgettext_noop("client", "%{minutes} min · %{count} cycles done")
+    ]
+  end
+
+  # Each placeholder is bound to itself, so Gettext keeps it for app.js
+  defp translate_client(msgid) do
+    bindings =
+      for [placeholder, key] <- Regex.scan(~r/%\{(\w+)\}/, msgid),
+          into: %{},
+          do: {String.to_atom(key), placeholder}
+
+    Gettext.dgettext(TodoListerWeb.Gettext, "client", msgid, bindings)
+  end
+
+  defp supported(locale) when is_binary(locale) do
+    if List.keymember?(@locales, locale, 0), do: locale
+  end
+
+  defp supported(_locale), do: nil
+
+  # The first supported language of the Accept-Language header, regions
+  # such as "de-AT" count as their language
+  defp accepted_locale(conn) do
+    conn
+    |> get_req_header("accept-language")
+    |> Enum.flat_map(&String.split(&1, ","))
+    |> Enum.map(fn language ->
+      language |> String.split(";") |> hd() |> String.trim() |> String.downcase()
+    end)
+    |> Enum.find_value(&(&1 |> String.split("-") |> hd() |> supported()))
+  end
+end
@@ -0,0 +1,85 @@
+defmodule TodoListerWeb.Presence do
+  @moduledoc """
+  Tracks who is viewing a todo list.
+
+  Viewers are tracked on the list's `"todo_list:<id>"` PubSub topic, keyed by
+  the client_id app.js keeps in localStorage, so several tabs of the same
+  client show up as one viewer. Each tab also shares the item it is editing,
+  which presence cleans up for us when the tab goes away.
+  """
+  use Phoenix.Presence,
+    otp_app: :todo_lister,
+    pubsub_server: TodoLister.PubSub
+
+  @colors ~w(#f97316 #0ea5e9 #22c55e #a855f7 #ef4444 #eab308 #14b8a6 #ec4899)
+
+  @doc """
+  Tracks the calling LiveView process as a viewer of a todo list.
+  """
+  def track_viewer(pid, todo_list_id, client_id, name) do
+    track(pid, topic(todo_list_id), client_id, %{
+      name: name,
+      color: color(client_id),
+      editing_item_id: nil,
+      online_at: System.system_time(:second),
+      name_updated_at: System.system_time(:microsecond)
+    })
+  end
+
+  @doc """
+  Changes the metadata of a tracked viewer, such as its `:name` or the
+  `:editing_item_id` it started or stopped editing.
+  """
+  def update_viewer(pid, todo_list_id, client_id, changes) do
+    changes =
+      if Map.has_key?(changes, :name),
+        do: Map.put(changes, :name_updated_at, System.system_time(:microsecond)),
+        else: changes
+
+    update(pid, topic(todo_list_id), client_id, &Map.merge(&1, changes))
+  end
+
+  @doc """
+  Lists the viewers of a todo list, longest present first.
+  """
+  def list_viewers(todo_list_id) do
+    todo_list_id
+    |> topic()
+    |> list()
+    |> Enum.map(fn {client_id, %{metas: metas}} ->
+      # The tab that joined or renamed last carries the latest display name
+      meta = Enum.max_by(metas, & &1.name_updated_at)
+      first_seen = metas |> Enum.map(& &1.online_at) |> Enum.min()
+
+      editing_item_ids = metas |> Enum.map(& &1.editing_item_id) |> Enum.reject(&is_nil/1)
+
+      %{
+        client_id: client_id,
+        name: meta.name,
+        color: meta.color,
+        online_at: first_seen,
+        editing_item_ids: Enum.uniq(editing_item_ids)
+      }
+    end)
+    |> Enum.sort_by(& &1.online_at)
+  end
+
+  @doc """
+  Returns the display name for a client, falling back to a short guest name.
+  """
+  def display_name(name, client_id) when is_binary(name) do
+    case String.trim(name) do
+      "" -> display_name(nil, client_id)
+      trimmed -> String.slice(trimmed, 0, 40)
+    end
+  end
+
+  def display_name(_name, client_id), do: "Guest #{String.slice(client_id || "", 0, 4)}"
+
+  @doc """
+  Returns the color a client is shown with, the same one on every page load.
+  """
+  def color(client_id), do: Enum.at(@colors, :erlang.phash2(client_id, length(@colors)))
+
+  defp topic(todo_list_id), do: "todo_list:#{todo_list_id}"
+end
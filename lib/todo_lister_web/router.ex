@@ -5,6 +5,7 @@ defmodule TodoListerWeb.Router do
     plug :accepts, ["html"]
     plug :fetch_session
     plug :fetch_live_flash
+    plug TodoListerWeb.Locale
     plug :put_root_layout, html: {TodoListerWeb.Layouts, :root}
     plug :protect_from_forgery
     plug :put_secure_browser_headers
@@ -17,8 +18,16 @@ defmodule TodoListerWeb.Router do
   scope "/", TodoListerWeb do
     pipe_through :browser
 
-    live "/", LandingLive, :index
-    live "/tl/:id", TodoListLive, :show
+    live_session :default, on_mount: TodoListerWeb.Locale do
+      live "/", LandingLive, :index
+      live "/tl/:id", TodoListLive, :show
+      live "/tl/:id/present", TodoListLive, :present
+    end
+  end
+
+  # Exports are fetched by scripts as well, so they skip the browser pipeline
+  scope "/", TodoListerWeb do
+    get "/tl/:id/export/:format", ExportController, :show
   end
 
   # Development error page testing routes
@@ -0,0 +1,25 @@
+defmodule TodoLister.Repo.Migrations.CreateFocusTimers do
+  use Ecto.Migration
+
+  def change do
+    create table(:focus_timers, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :client_id, :string, null: false
+      add :status, :string, null: false, default: "running"
+      add :duration_seconds, :integer, null: false
+      add :remaining_seconds, :integer, null: false
+      add :ends_at, :naive_datetime
+
+      add :todo_list_id, references(:todo_lists, type: :binary_id, on_delete: :delete_all),
+        null: false
+
+      add :todo_item_id, references(:todo_items, type: :binary_id, on_delete: :delete_all),
+        null: false
+
+      timestamps()
+    end
+
+    create unique_index(:focus_timers, [:todo_item_id, :client_id])
+    create index(:focus_timers, [:todo_list_id, :client_id])
+  end
+end
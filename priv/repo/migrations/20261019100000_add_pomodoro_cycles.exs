@@ -0,0 +1,18 @@
+defmodule TodoLister.Repo.Migrations.AddPomodoroCycles do
+  use Ecto.Migration
+
+  def change do
+    alter table(:focus_timers) do
+      add :phase, :string
+      add :work_seconds, :integer
+      add :short_break_seconds, :integer
+      add :long_break_seconds, :integer
+      add :long_break_every, :integer
+      add :completed_cycles, :integer, null: false, default: 0
+    end
+
+    alter table(:todo_items) do
+      add :pomodoros_completed, :integer, null: false, default: 0
+    end
+  end
+end
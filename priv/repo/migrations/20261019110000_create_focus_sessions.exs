@@ -0,0 +1,24 @@
+defmodule TodoLister.Repo.Migrations.CreateFocusSessions do
+  use Ecto.Migration
+
+  def change do
+    create table(:focus_sessions, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :client_id, :string
+      add :outcome, :string, null: false
+      add :planned_seconds, :integer, null: false
+      add :actual_seconds, :integer, null: false
+
+      add :todo_list_id, references(:todo_lists, type: :binary_id, on_delete: :delete_all),
+        null: false
+
+      add :todo_item_id, references(:todo_items, type: :binary_id, on_delete: :delete_all),
+        null: false
+
+      timestamps()
+    end
+
+    create index(:focus_sessions, [:todo_list_id])
+    create index(:focus_sessions, [:todo_item_id])
+  end
+end
@@ -0,0 +1,13 @@
+defmodule TodoLister.Repo.Migrations.AddSequenceToTodoListHistories do
+  use Ecto.Migration
+
+  # inserted_at only has second precision, undo and redo need the exact order
+  # in which a client's changes happened
+  def change do
+    alter table(:todo_list_histories) do
+      add :sequence, :bigserial
+    end
+
+    create index(:todo_list_histories, [:todo_list_id, :client_id, :sequence])
+  end
+end
@@ -0,0 +1,83 @@
+// Service worker for Todo Lister, registered from assets/js/app.js.
+//
+// Pages and assets are fetched from the network first and cached on the way,
+// so an installed app can still open the landing page and every list visited
+// before while offline. The cached HTML is the last server render of a page,
+// app.js keeps it read-only until the LiveSocket connects.
+
+const VERSION = "v1"
+const PAGES_CACHE = `todo-lister-pages-${VERSION}`
+const STATIC_CACHE = `todo-lister-static-${VERSION}`
+const STATIC_PREFIXES = ["/assets/", "/images/", "/fonts/"]
+const PAGE_PATTERN = /^\/(tl\/[^/]+)?$/
+
+self.addEventListener("install", () => self.skipWaiting())
+
+self.addEventListener("activate", (event) => {
+  const current = [PAGES_CACHE, STATIC_CACHE]
+
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request
+  const url = new URL(request.url)
+  if (request.method !== "GET" || url.origin !== self.location.origin) return
+
+  if (request.mode === "navigate" && PAGE_PATTERN.test(url.pathname)) {
+    event.respondWith(networkFirst(request, PAGES_CACHE, url.pathname))
+  } else if (STATIC_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) {
+    // Digested assets never change, everything else may have been rebuilt
+    const immutable = url.searchParams.has("vsn")
+    event.respondWith(immutable ? cacheFirst(request) : networkFirst(request, STATIC_CACHE))
+  }
+})
+
+// Pages are cached by path, so a visit with a query string still updates them
+async function networkFirst(request, cacheName, cacheKey = request) {
+  const cache = await caches.open(cacheName)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(cacheKey, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(cacheKey)
+    if (cached) return cached
+    if (request.mode === "navigate") return offlinePage()
+    throw error
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+function offlinePage() {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Offline | Todo Lister</title>
+  </head>
+  <body style="font-family: sans-serif; text-align: center; padding: 4rem 1rem;">
+    <h1>You are offline</h1>
+    <p>This page has not been opened on this device before. Try again once you are back online.</p>
+  </body>
+</html>`
+
+  return new Response(html, {status: 503, headers: {"Content-Type": "text/html; charset=utf-8"}})
+}
@@ -0,0 +1,65 @@
+defmodule TodoLister.ExportTest do
+  use TodoLister.DataCase
+
+  alias TodoLister.{Export, Lists}
+
+  setup do
+    {:ok, todo_list} = Lists.create_todo_list(%{title: "Team Offsite"})
+    {:ok, _open} = Lists.create_todo_item(todo_list, %{text: "Book, the venue"})
+    {:ok, done} = Lists.create_todo_item(todo_list, %{text: "Send \"save the date\""})
+    {:ok, _done} = Lists.update_todo_item(done, %{status: :done})
+    {:ok, skipped} = Lists.create_todo_item(todo_list, %{text: "Order t-shirts"})
+    {:ok, _skipped} = Lists.update_todo_item(skipped, %{status: :wont_do})
+
+    %{todo_list: todo_list, todo_items: Lists.list_todo_items(todo_list)}
+  end
+
+  test "exports a Markdown checklist", %{todo_list: todo_list, todo_items: todo_items} do
+    assert Export.export(todo_list, todo_items, "md") ==
+             {:ok,
+              """
+              # Team Offsite
+
+              - [ ] Book, the venue
+              - [x] Send "save the date"
+              - [-] Order t-shirts
+              """}
+  end
+
+  test "exports CSV with order and timestamps", %{todo_list: todo_list, todo_items: todo_items} do
+    {:ok, csv} = Export.export(todo_list, todo_items, "csv")
+    [header, first, second, _third] = String.split(csv, "\r\n", trim: true)
+
+    assert header == "id,order,text,status,inserted_at,updated_at"
+    assert first =~ ~r/^[0-9a-f-]{36},1,"Book, the venue",todo,\d{4}-\d\d-\d\dT[\d:]+Z,/
+    assert second =~ ~s(,2,"Send ""save the date""",done,)
+  end
+
+  test "exports JSON with order and timestamps", %{
+    todo_list: todo_list,
+    todo_items: todo_items
+  } do
+    {:ok, json} = Export.export(todo_list, todo_items, "json")
+    exported = Jason.decode!(json)
+
+    assert exported["id"] == todo_list.id
+    assert exported["title"] == "Team Offsite"
+
+    assert Enum.map(exported["items"], &{&1["order"], &1["status"]}) == [
+             {1, "todo"},
+             {2, "done"},
+             {3, "wont_do"}
+           ]
+
+    assert {:ok, _, 0} = DateTime.from_iso8601(hd(exported["items"])["updated_at"])
+  end
+
+  test "rejects unknown formats", %{todo_list: todo_list, todo_items: todo_items} do
+    assert Export.export(todo_list, todo_items, "pdf") == {:error, :unknown_format}
+  end
+
+  test "builds file names from the title", %{todo_list: todo_list} do
+    assert Export.filename(todo_list, "md") == "team-offsite.md"
+    assert Export.filename(%{todo_list | title: "!!!"}, "csv") == "todo-list.csv"
+  end
+end
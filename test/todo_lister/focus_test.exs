@@ -0,0 +1,265 @@
+defmodule TodoLister.FocusTest do
+  use TodoLister.DataCase
+
+  alias TodoLister.{Focus, Lists}
+  alias TodoLister.{FocusSession, FocusTimer}
+
+  setup do
+    {:ok, todo_list} = Lists.create_todo_list(%{title: "Focus List"})
+    {:ok, todo_item} = Lists.create_todo_item(todo_list, %{text: "Deep work"})
+    %{todo_list: todo_list, todo_item: todo_item}
+  end
+
+  describe "start_focus_timer/3" do
+    test "creates a running timer for the client", %{todo_item: todo_item} do
+      assert {:ok, %FocusTimer{} = timer} = Focus.start_focus_timer(todo_item, "client-1", 300)
+
+      assert timer.status == :running
+      assert timer.client_id == "client-1"
+      assert timer.todo_item_id == todo_item.id
+      assert timer.duration_seconds == 300
+      assert Focus.remaining_seconds(timer) in 299..300
+    end
+
+    test "replaces the client's previous timer on the same item", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      {:ok, _first} = Focus.start_focus_timer(todo_item, "client-1", 300)
+      {:ok, _second} = Focus.start_focus_timer(todo_item, "client-1", 60)
+
+      timer = Focus.get_focus_timer(todo_list.id, "client-1")
+      assert timer.duration_seconds == 60
+      assert Repo.aggregate(FocusTimer, :count) == 1
+    end
+
+    test "pauses the client's timer on another item of the list", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      {:ok, other_item} = Lists.create_todo_item(todo_list, %{text: "Other"})
+
+      {:ok, first} = Focus.start_focus_timer(todo_item, "client-1", 300)
+      {:ok, _second} = Focus.start_focus_timer(other_item, "client-1", 60)
+
+      timer = Focus.get_focus_timer(todo_list.id, "client-1")
+      assert timer.todo_item_id == other_item.id
+      assert timer.status == :running
+
+      first = Repo.reload!(first)
+      assert first.status == :paused
+      assert first.remaining_seconds in 299..300
+    end
+
+    test "rejects a non-positive duration", %{todo_item: todo_item} do
+      assert {:error, changeset} = Focus.start_focus_timer(todo_item, "client-1", 0)
+      assert %{duration_seconds: [_]} = errors_on(changeset)
+    end
+  end
+
+  describe "get_focus_timer/2" do
+    test "only returns the timer of the given client", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      {:ok, _timer} = Focus.start_focus_timer(todo_item, "client-1", 300)
+
+      assert %FocusTimer{} = Focus.get_focus_timer(todo_list.id, "client-1")
+      assert Focus.get_focus_timer(todo_list.id, "client-2") == nil
+      assert Focus.get_focus_timer(todo_list.id, nil) == nil
+    end
+  end
+
+  describe "pause_focus_timer/1 and resume_focus_timer/1" do
+    test "pausing keeps the remaining seconds and resuming continues from them", %{
+      todo_item: todo_item
+    } do
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 120)
+
+      {:ok, paused} = Focus.pause_focus_timer(timer)
+      assert paused.status == :paused
+      assert paused.ends_at == nil
+      assert paused.remaining_seconds in 119..120
+      assert Focus.end_time(paused) == nil
+
+      {:ok, resumed} = Focus.resume_focus_timer(paused)
+      assert resumed.status == :running
+      assert Focus.remaining_seconds(resumed) in 118..120
+      assert is_integer(Focus.end_time(resumed))
+    end
+
+    test "pausing a paused timer leaves it unchanged", %{todo_item: todo_item} do
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 120)
+      {:ok, paused} = Focus.pause_focus_timer(timer)
+
+      assert {:ok, ^paused} = Focus.pause_focus_timer(paused)
+    end
+  end
+
+  describe "delete_focus_timer/1" do
+    test "removes the timer", %{todo_list: todo_list, todo_item: todo_item} do
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 120)
+
+      assert :ok = Focus.delete_focus_timer(timer)
+      assert Focus.get_focus_timer(todo_list.id, "client-1") == nil
+    end
+  end
+
+  describe "complete_focus_timer/1" do
+    test "removes the running timer once", %{todo_list: todo_list, todo_item: todo_item} do
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 120)
+
+      assert {:ok, ^timer} = Focus.complete_focus_timer(timer)
+      assert Focus.get_focus_timer(todo_list.id, "client-1") == nil
+      assert {:error, :stale} = Focus.complete_focus_timer(timer)
+    end
+
+    test "keeps a timer that was restarted meanwhile", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 120)
+      {:ok, _restarted} = Focus.start_focus_timer(todo_item, "client-1", 600)
+
+      assert {:error, :stale} = Focus.complete_focus_timer(timer)
+      assert %FocusTimer{duration_seconds: 600} = Focus.get_focus_timer(todo_list.id, "client-1")
+    end
+  end
+
+  describe "Pomodoro cycles" do
+    test "start_focus_timer/4 persists the Pomodoro with the timer", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 4)
+      {:ok, _timer} = Focus.start_focus_timer(todo_item, "client-1", 1500, pomodoro)
+
+      timer = Focus.get_focus_timer(todo_list.id, "client-1")
+      assert Focus.pomodoro(timer) == pomodoro
+    end
+
+    test "a single countdown replaces a Pomodoro completely", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 4) |> Focus.advance_pomodoro()
+      {:ok, _timer} = Focus.start_focus_timer(todo_item, "client-1", 300, pomodoro)
+      {:ok, _timer} = Focus.start_focus_timer(todo_item, "client-1", 60)
+
+      timer = Focus.get_focus_timer(todo_list.id, "client-1")
+      assert Focus.pomodoro(timer) == nil
+      assert timer.completed_cycles == 0
+    end
+
+    test "advance_pomodoro/1 alternates work and breaks with a long break every few cycles" do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 2)
+
+      phases =
+        pomodoro
+        |> Stream.iterate(&Focus.advance_pomodoro/1)
+        |> Enum.take(5)
+        |> Enum.map(&{&1.phase, &1.completed_cycles})
+
+      assert phases == [
+               {:work, 0},
+               {:short_break, 1},
+               {:work, 1},
+               {:long_break, 2},
+               {:work, 2}
+             ]
+    end
+
+    test "phase_seconds/1 returns the length of the current phase" do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 1)
+
+      assert Focus.phase_seconds(pomodoro) == 1500
+      assert pomodoro |> Focus.advance_pomodoro() |> Focus.phase_seconds() == 900
+    end
+
+    test "start_pomodoro_phase/2 restarts the timer for the next phase", %{
+      todo_item: todo_item
+    } do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 4)
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 1500, pomodoro)
+
+      next = Focus.advance_pomodoro(pomodoro)
+      assert {:ok, updated} = Focus.start_pomodoro_phase(timer, next)
+
+      assert updated.status == :running
+      assert updated.phase == :short_break
+      assert updated.completed_cycles == 1
+      assert updated.duration_seconds == 300
+      assert Focus.remaining_seconds(updated) in 299..300
+    end
+
+    test "start_pomodoro_phase/2 only advances the run it was given", %{
+      todo_item: todo_item
+    } do
+      pomodoro = Focus.new_pomodoro(1500, 300, 900, 4)
+      {:ok, timer} = Focus.start_focus_timer(todo_item, "client-1", 1500, pomodoro)
+      next = Focus.advance_pomodoro(pomodoro)
+
+      {:ok, _updated} = Focus.start_pomodoro_phase(timer, next)
+      assert {:error, :stale} = Focus.start_pomodoro_phase(timer, next)
+
+      {:ok, paused} = Focus.pause_focus_timer(timer)
+      assert {:error, :stale} = Focus.start_pomodoro_phase(paused, next)
+    end
+  end
+
+  describe "record_focus_session/5" do
+    test "stores the session and records history for a client", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      assert {:ok, %FocusSession{} = session} =
+               Focus.record_focus_session(todo_item, "client-1", 1500, 1500, :completed)
+
+      assert session.outcome == :completed
+      assert session.planned_seconds == 1500
+      assert session.actual_seconds == 1500
+
+      assert [%{change_type: "focus_session"} | _] =
+               TodoLister.History.get_list_history(todo_list.id)
+    end
+
+    test "does not record history without a client", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      assert {:ok, _session} = Focus.record_focus_session(todo_item, nil, 300, 120, :stopped)
+      assert TodoLister.History.get_list_history(todo_list.id) == []
+    end
+
+    test "rejects a session without focused time", %{todo_item: todo_item} do
+      assert {:error, changeset} = Focus.record_focus_session(todo_item, nil, 300, 0, :stopped)
+      assert %{actual_seconds: [_]} = errors_on(changeset)
+    end
+  end
+
+  describe "focused_seconds_by_item/1" do
+    test "sums the focused time per item of the list", %{
+      todo_list: todo_list,
+      todo_item: todo_item
+    } do
+      {:ok, other_item} = Lists.create_todo_item(todo_list, %{text: "Other"})
+      {:ok, _} = Focus.record_focus_session(todo_item, nil, 1500, 1500, :completed)
+      {:ok, _} = Focus.record_focus_session(todo_item, nil, 1500, 300, :stopped)
+      {:ok, _} = Focus.record_focus_session(other_item, nil, 60, 60, :completed)
+
+      assert Focus.focused_seconds_by_item(todo_list.id) == %{
+               todo_item.id => 1800,
+               other_item.id => 60
+             }
+    end
+
+    test "follows items moved to another list", %{todo_list: todo_list, todo_item: todo_item} do
+      {:ok, target_list} = Lists.create_todo_list(%{title: "Target"})
+      {:ok, _} = Focus.record_focus_session(todo_item, nil, 600, 600, :completed)
+      {:ok, _} = Lists.move_todo_items([todo_item], target_list)
+
+      assert Focus.focused_seconds_by_item(todo_list.id) == %{}
+      assert Focus.focused_seconds_by_item(target_list.id) == %{todo_item.id => 600}
+    end
+  end
+end
@@ -151,7 +151,28 @@ defmodule TodoLister.HistoryTest do
     end
   end
 
-  describe "record_items_reordered/3" do
+  describe "record_item_moved/4" do
+    test "records one entry on the source and one on the target list" do
+      {:ok, from_list} = Lists.create_todo_list(%{title: "From"})
+      {:ok, to_list} = Lists.create_todo_list(%{title: "To"})
+      {:ok, todo_item} = Lists.create_todo_item(to_list, %{text: "Moved task"})
+
+      {:ok, {moved_out, moved_in}} =
+        History.record_item_moved(todo_item, from_list, to_list, "move-client")
+
+      assert moved_out.change_type == "item_moved_out"
+      assert moved_out.todo_list_id == from_list.id
+      assert moved_out.old_data.text == "Moved task"
+      assert moved_out.new_data.todo_list_id == to_list.id
+
+      assert moved_in.change_type == "item_moved_in"
+      assert moved_in.todo_list_id == to_list.id
+      assert moved_in.client_id == "move-client"
+      assert moved_in.old_data.todo_list_title == "From"
+    end
+  end
+
+  describe "record_items_reordered/4" do
     test "records bulk reordering with reorder data" do
       {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
 
@@ -171,6 +192,91 @@ defmodule TodoLister.HistoryTest do
                %{id: "item-2", order: 1}
              ]
     end
+
+    test "keeps the previous orders when given" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
+
+      {:ok, history} =
+        History.record_items_reordered(
+          todo_list.id,
+          [%{id: "item-1", order: 2}],
+          "drag-client",
+          [%{id: "item-1", order: 1}]
+        )
+
+      assert history.old_data.reorder_data == [%{id: "item-1", order: 1}]
+    end
+  end
+
+  describe "record_focus_session/3" do
+    test "records the session with the item text" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
+      {:ok, todo_item} = Lists.create_todo_item(todo_list, %{text: "Deep work"})
+
+      {:ok, focus_session} =
+        TodoLister.Focus.record_focus_session(todo_item, nil, 1500, 600, :stopped)
+
+      {:ok, history} = History.record_focus_session(focus_session, todo_item, "focus-client")
+
+      assert history.change_type == "focus_session"
+      assert history.client_id == "focus-client"
+      assert history.todo_item_id == todo_item.id
+
+      assert history.new_data == %{
+               text: "Deep work",
+               outcome: "stopped",
+               planned_seconds: 1500,
+               actual_seconds: 600
+             }
+    end
+  end
+
+  describe "record_change_undone/3 and record_change_redone/4" do
+    test "keep a copy of the change they refer to" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
+      {:ok, todo_item} = Lists.create_todo_item(todo_list, %{text: "New text"})
+      {:ok, original} = History.record_item_text_updated(todo_item, "Old text", "undo-client")
+
+      {:ok, undone} = History.record_change_undone(todo_list.id, original, "undo-client")
+
+      assert undone.change_type == "change_undone"
+      assert undone.todo_item_id == todo_item.id
+      assert undone.new_data.history_id == original.id
+      assert undone.new_data.change_type == "item_text_updated"
+      assert undone.new_data.old_data == %{text: "Old text"}
+
+      {:ok, redone} =
+        History.record_change_redone(todo_list.id, undone.id, original, "undo-client")
+
+      assert redone.change_type == "change_redone"
+      assert redone.new_data.history_id == undone.id
+    end
+
+    test "record_change_skipped/3 keeps a copy of the change an undo skipped" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
+      {:ok, todo_item} = Lists.create_todo_item(todo_list, %{text: "New text"})
+      {:ok, original} = History.record_item_text_updated(todo_item, "Old text", "undo-client")
+
+      {:ok, skipped} = History.record_change_skipped(todo_list.id, original, "undo-client")
+
+      assert skipped.change_type == "change_skipped"
+      assert skipped.new_data.history_id == original.id
+      assert skipped.new_data.change_type == "item_text_updated"
+    end
+  end
+
+  describe "get_client_list_history/3" do
+    test "returns only the client's entries, newest first" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Test List"})
+      {:ok, todo_item} = Lists.create_todo_item(todo_list, %{text: "Task"})
+
+      {:ok, first} = History.record_item_created(todo_item, "client-a")
+      {:ok, _other} = History.record_item_created(todo_item, "client-b")
+      {:ok, second} = History.record_item_deleted(todo_item, "client-a")
+
+      assert Enum.map(History.get_client_list_history(todo_list.id, "client-a"), & &1.id) ==
+               [second.id, first.id]
+    end
   end
 
   describe "get_list_history/2" do
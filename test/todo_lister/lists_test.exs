@@ -53,6 +53,116 @@ defmodule TodoLister.ListsTest do
     end
   end
 
+  describe "get_todo_list/1" do
+    test "returns the todo_list with given id" do
+      todo_list = todo_list_fixture()
+      assert Lists.get_todo_list(todo_list.id) == todo_list
+    end
+
+    test "returns nil for missing, deleted or malformed ids" do
+      todo_list = todo_list_fixture()
+      {:ok, _deleted} = Lists.delete_todo_list(todo_list)
+
+      assert Lists.get_todo_list(Ecto.UUID.generate()) == nil
+      assert Lists.get_todo_list(todo_list.id) == nil
+      assert Lists.get_todo_list("not-a-uuid") == nil
+    end
+  end
+
+  describe "list_client_todo_lists/2" do
+    test "returns the lists a client changed, most recent first" do
+      {:ok, older} = Lists.create_todo_list(%{title: "Older"}, "client-a")
+      {:ok, newer} = Lists.create_todo_list(%{title: "Newer"}, "client-a")
+      {:ok, _other} = Lists.create_todo_list(%{title: "Other client"}, "client-b")
+
+      # Push the newer list's activity into the past so the older one comes first
+      TodoLister.Repo.update_all(
+        from(h in TodoLister.TodoListHistory, where: h.todo_list_id == ^newer.id),
+        set: [inserted_at: ~N[2020-01-01 00:00:00]]
+      )
+
+      assert Enum.map(Lists.list_client_todo_lists("client-a"), & &1.id) == [older.id, newer.id]
+    end
+
+    test "skips deleted lists and returns nothing without a client_id" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Deleted"}, "client-a")
+      {:ok, _deleted} = Lists.delete_todo_list(todo_list)
+
+      assert Lists.list_client_todo_lists("client-a") == []
+      assert Lists.list_client_todo_lists(nil) == []
+    end
+
+    test "with created: true only returns the lists the client created" do
+      {:ok, created} = Lists.create_todo_list(%{title: "Created"}, "client-a")
+      {:ok, changed} = Lists.create_todo_list(%{title: "Changed"}, "client-b")
+      {:ok, _changed} = Lists.update_todo_list(changed, %{title: "Renamed"}, "client-a")
+
+      assert Enum.map(Lists.list_client_todo_lists("client-a", created: true), & &1.id) ==
+               [created.id]
+    end
+  end
+
+  describe "create_todo_list_with_items/3" do
+    test "creates the list with its items in order" do
+      {:ok, todo_list} =
+        Lists.create_todo_list_with_items(
+          %{title: "Imported"},
+          [%{text: "First", status: "done"}, %{text: "Second"}],
+          "importer"
+        )
+
+      assert todo_list.title == "Imported"
+
+      assert [{"First", :done}, {"Second", :todo}] =
+               todo_list |> Lists.list_todo_items() |> Enum.map(&{&1.text, &1.status})
+
+      assert ["items_created", "list_created"] =
+               todo_list.id |> TodoLister.History.get_list_history() |> Enum.map(& &1.change_type)
+    end
+
+    test "creates nothing when an item is invalid" do
+      count = length(Lists.list_todo_lists())
+
+      assert {:error, %Ecto.Changeset{}} =
+               Lists.create_todo_list_with_items(%{title: "Imported"}, [%{text: ""}])
+
+      assert length(Lists.list_todo_lists()) == count
+    end
+  end
+
+  describe "summarize_todo_lists/1" do
+    test "counts open items and finds the last activity" do
+      {:ok, todo_list} = Lists.create_todo_list(%{title: "Summary"})
+      {:ok, _open} = Lists.create_todo_item(todo_list, %{text: "Open"})
+      {:ok, done} = Lists.create_todo_item(todo_list, %{text: "Done"})
+      {:ok, done} = Lists.update_todo_item(done, %{status: :done})
+      {:ok, deleted} = Lists.create_todo_item(todo_list, %{text: "Deleted"})
+      {:ok, _deleted} = Lists.delete_todo_item(deleted)
+
+      assert [summary] = Lists.summarize_todo_lists([todo_list.id])
+      assert summary.todo_list.id == todo_list.id
+      assert summary.open_count == 1
+      assert NaiveDateTime.compare(summary.last_activity_at, done.updated_at) != :lt
+    end
+
+    test "orders by last activity and skips deleted lists and invalid ids" do
+      {:ok, older} = Lists.create_todo_list(%{title: "Older"})
+      {:ok, newer} = Lists.create_todo_list(%{title: "Newer"})
+      {:ok, deleted} = Lists.create_todo_list(%{title: "Deleted"})
+      {:ok, _deleted} = Lists.delete_todo_list(deleted)
+
+      TodoLister.Repo.update_all(
+        from(tl in TodoLister.TodoList, where: tl.id == ^older.id),
+        set: [updated_at: ~N[2020-01-01 00:00:00]]
+      )
+
+      summaries = Lists.summarize_todo_lists([older.id, newer.id, deleted.id, "not-an-id"])
+
+      assert Enum.map(summaries, & &1.todo_list.id) == [newer.id, older.id]
+      assert Lists.summarize_todo_lists([]) == []
+    end
+  end
+
   describe "create_todo_list/1" do
     test "with valid data creates a todo_list" do
       assert {:ok, %TodoList{} = todo_list} = Lists.create_todo_list(@valid_attrs)
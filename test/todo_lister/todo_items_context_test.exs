@@ -213,4 +213,136 @@ defmodule TodoLister.TodoItemsContextTest do
       assert loaded_list.todo_items == []
     end
   end
+
+  describe "move_todo_items/3" do
+    setup do
+      source = todo_list_fixture(%{title: "Source"})
+      target = todo_list_fixture(%{title: "Target"})
+      %{source: source, target: target}
+    end
+
+    test "moves the items to the end of the target list", %{source: source, target: target} do
+      existing = todo_item_fixture(target, %{text: "Already there"})
+      first = todo_item_fixture(source, %{text: "First"})
+      second = todo_item_fixture(source, %{text: "Second"})
+
+      assert {:ok, [_, _]} = Lists.move_todo_items([first, second], target)
+
+      assert Lists.list_todo_items(source) == []
+
+      assert Enum.map(Lists.list_todo_items(target), & &1.id) == [
+               existing.id,
+               first.id,
+               second.id
+             ]
+    end
+
+    test "records history on both lists when client_id provided", %{
+      source: source,
+      target: target
+    } do
+      item = todo_item_fixture(source, %{text: "Moving"})
+
+      {:ok, _} = Lists.move_todo_items([item], target, "mover")
+
+      [moved_out] = TodoLister.History.get_list_history(source.id)
+      assert moved_out.change_type == "item_moved_out"
+      assert moved_out.client_id == "mover"
+      assert moved_out.new_data["todo_list_title"] == "Target"
+
+      [moved_in] = TodoLister.History.get_list_history(target.id)
+      assert moved_in.change_type == "item_moved_in"
+      assert moved_in.old_data["todo_list_title"] == "Source"
+      assert moved_in.new_data["text"] == "Moving"
+    end
+  end
+
+  describe "create_todo_items/4" do
+    setup do
+      %{todo_list: todo_list_fixture()}
+    end
+
+    test "appends the items with their statuses", %{todo_list: todo_list} do
+      existing = todo_item_fixture(todo_list, %{text: "Already there"})
+
+      assert {:ok, [_, _]} =
+               Lists.create_todo_items(todo_list, [
+                 %{text: "Open", status: :todo},
+                 %{text: "Finished", status: :done}
+               ])
+
+      assert [first, open, finished] = Lists.list_todo_items(todo_list)
+      assert first.id == existing.id
+      assert {open.text, open.status} == {"Open", :todo}
+      assert {finished.text, finished.status} == {"Finished", :done}
+    end
+
+    test "fills the placeholder with the first item", %{todo_list: todo_list} do
+      placeholder = todo_item_fixture(todo_list, %{text: "New task"})
+
+      {:ok, [filled, _second]} =
+        Lists.create_todo_items(todo_list, [%{text: "One"}, %{text: "Two"}], nil, placeholder)
+
+      assert filled.id == placeholder.id
+      assert Enum.map(Lists.list_todo_items(todo_list), & &1.text) == ["One", "Two"]
+    end
+
+    test "records a single history entry when client_id provided", %{todo_list: todo_list} do
+      {:ok, _} = Lists.create_todo_items(todo_list, [%{text: "One"}, %{text: "Two"}], "paster")
+
+      [entry] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.change_type == "items_created"
+      assert Enum.map(entry.new_data["items"], & &1["text"]) == ["One", "Two"]
+    end
+
+    test "creates nothing when one item is invalid", %{todo_list: todo_list} do
+      assert {:error, %Ecto.Changeset{}} =
+               Lists.create_todo_items(todo_list, [%{text: "Fine"}, %{text: ""}], "paster")
+
+      assert Lists.list_todo_items(todo_list) == []
+      assert TodoLister.History.get_list_history(todo_list.id) == []
+    end
+  end
+
+  describe "resolve_item_conflict/5" do
+    setup do
+      todo_item = todo_item_fixture(todo_list_fixture(), %{text: "Buy oat milk"})
+      conflict = %{original: "Buy milk", remote: "Buy oat milk", local: "Buy milk and eggs"}
+      %{todo_item: todo_item, conflict: conflict}
+    end
+
+    test "saves the text and records all three versions", %{
+      todo_item: todo_item,
+      conflict: conflict
+    } do
+      assert {:ok, resolved} =
+               Lists.resolve_item_conflict(
+                 todo_item,
+                 "Buy oat milk and eggs",
+                 conflict,
+                 "combined",
+                 "merger"
+               )
+
+      assert resolved.text == "Buy oat milk and eggs"
+
+      [entry] = TodoLister.History.get_item_history(todo_item.id)
+      assert entry.change_type == "item_conflict_resolved"
+      assert entry.old_data["text"] == "Buy oat milk"
+      assert entry.old_data["original_text"] == "Buy milk"
+      assert entry.old_data["local_text"] == "Buy milk and eggs"
+      assert entry.new_data == %{"text" => "Buy oat milk and eggs", "resolution" => "combined"}
+    end
+
+    test "keeps the item and history as they were when the text is invalid", %{
+      todo_item: todo_item,
+      conflict: conflict
+    } do
+      assert {:error, %Ecto.Changeset{}} =
+               Lists.resolve_item_conflict(todo_item, "", conflict, "combined", "merger")
+
+      assert Lists.get_todo_item!(todo_item.id).text == "Buy oat milk"
+      assert TodoLister.History.get_item_history(todo_item.id) == []
+    end
+  end
 end
@@ -0,0 +1,209 @@
+defmodule TodoLister.UndoTest do
+  use TodoLister.DataCase
+
+  alias TodoLister.{History, Lists, Undo}
+
+  @client_id "undo-client"
+
+  setup do
+    {:ok, todo_list} = Lists.create_todo_list(%{title: "Undo List"}, @client_id)
+    %{todo_list: todo_list}
+  end
+
+  describe "undo/2" do
+    test "reverts a text update and records it", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Original"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Changed"}, @client_id)
+
+      assert {:ok, entry} = Undo.undo(todo_list, @client_id)
+
+      assert entry.change_type == "change_undone"
+      assert entry.new_data["change_type"] == "item_text_updated"
+      assert Lists.get_todo_item!(item.id).text == "Original"
+    end
+
+    test "walks back through the client's changes", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Task"}, @client_id)
+      {:ok, item} = Lists.update_todo_item(item, %{status: :done}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Renamed"}, @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+
+      item = Lists.get_todo_item!(item.id)
+      assert item.text == "Task"
+      assert item.status == :todo
+
+      # Undoing the creation removes the item again
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).deleted_at != nil
+    end
+
+    test "reverts a merge to the other client's text", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Buy oat milk"})
+      conflict = %{original: "Buy milk", remote: "Buy oat milk", local: "Buy milk and eggs"}
+
+      {:ok, _item} =
+        Lists.resolve_item_conflict(item, "Buy milk and eggs", conflict, "mine", @client_id)
+
+      assert {:ok, entry} = Undo.undo(todo_list, @client_id)
+
+      assert entry.new_data["change_type"] == "item_conflict_resolved"
+      assert Lists.get_todo_item!(item.id).text == "Buy oat milk"
+    end
+
+    test "restores a deleted item", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Task"}, @client_id)
+      {:ok, _item} = Lists.delete_todo_item(item, @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).deleted_at == nil
+    end
+
+    test "reverts a reordering", %{todo_list: todo_list} do
+      {:ok, first} = Lists.create_todo_item(todo_list, %{text: "First"}, @client_id)
+      {:ok, second} = Lists.create_todo_item(todo_list, %{text: "Second"}, @client_id)
+
+      {:ok, _} =
+        Lists.reorder_todo_items(
+          [%{id: first.id, order: 2}, %{id: second.id, order: 1}],
+          todo_list.id,
+          @client_id
+        )
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Enum.map(Lists.list_todo_items(todo_list), & &1.text) == ["First", "Second"]
+    end
+
+    test "removes the items of a paste", %{todo_list: todo_list} do
+      {:ok, items} =
+        Lists.create_todo_items(todo_list, [%{text: "One"}, %{text: "Two"}], @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Lists.list_todo_items(todo_list) == []
+
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+      assert Enum.map(Lists.list_todo_items(todo_list), & &1.id) == Enum.map(items, & &1.id)
+    end
+
+    test "reverts a title change", %{todo_list: todo_list} do
+      {:ok, _todo_list} = Lists.update_todo_list(todo_list, %{title: "Renamed"}, @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Lists.get_todo_list!(todo_list.id).title == "Undo List"
+    end
+
+    test "only undoes the client's own changes", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Mine"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Theirs"}, "other-client")
+
+      assert {:error, :nothing_to_undo} = Undo.undo(todo_list, "third-client")
+
+      {:ok, entry} = Undo.undo(todo_list, @client_id)
+      assert entry.new_data["change_type"] == "item_created"
+    end
+
+    test "moves an item back to the list it was moved from", %{todo_list: todo_list} do
+      {:ok, other_list} = Lists.create_todo_list(%{title: "Other List"})
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Task"}, @client_id)
+      {:ok, item} = Lists.update_todo_item(item, %{text: "Renamed"}, @client_id)
+      {:ok, _} = Lists.move_todo_items([item], other_list, @client_id)
+
+      assert {:ok, entry} = Undo.undo(todo_list, @client_id)
+
+      assert entry.new_data["change_type"] == "item_moved_out"
+      item = Lists.get_todo_item!(item.id)
+      assert item.todo_list_id == todo_list.id
+      assert item.text == "Renamed"
+
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).todo_list_id == other_list.id
+    end
+
+    test "skips a change that can no longer be reverted", %{todo_list: todo_list} do
+      {:ok, other_list} = Lists.create_todo_list(%{title: "Other List"})
+      {:ok, first} = Lists.create_todo_item(todo_list, %{text: "First"}, @client_id)
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Task"})
+      {:ok, item} = Lists.update_todo_item(item, %{text: "Renamed"}, @client_id)
+
+      # Someone else moved the edited item away
+      {:ok, _} = Lists.move_todo_items([item], other_list, "other-client")
+
+      assert {:error, :item_missing} = Undo.undo(todo_list, @client_id)
+
+      [skipped | _] = History.get_client_list_history(todo_list.id, @client_id)
+      assert skipped.change_type == "change_skipped"
+
+      assert {:ok, entry} = Undo.undo(todo_list, @client_id)
+      assert entry.new_data["change_type"] == "item_created"
+      assert Lists.get_todo_item!(first.id).deleted_at != nil
+    end
+
+    test "returns an error when there is nothing to undo", %{todo_list: todo_list} do
+      assert {:error, :nothing_to_undo} = Undo.undo(todo_list, @client_id)
+      assert {:error, :nothing_to_undo} = Undo.undo(todo_list, nil)
+    end
+  end
+
+  describe "redo/2" do
+    test "re-applies the change the latest undo reverted", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Original"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Changed"}, @client_id)
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+
+      assert {:ok, entry} = Undo.redo(todo_list, @client_id)
+
+      assert entry.change_type == "change_redone"
+      assert Lists.get_todo_item!(item.id).text == "Changed"
+      assert {:error, :nothing_to_redo} = Undo.redo(todo_list, @client_id)
+    end
+
+    test "redoes several undos in reverse order", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "One"}, @client_id)
+      {:ok, item} = Lists.update_todo_item(item, %{text: "Two"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Three"}, @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).text == "One"
+
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).text == "Two"
+
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+      assert Lists.get_todo_item!(item.id).text == "Three"
+    end
+
+    test "a redone change can be undone again", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Original"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Changed"}, @client_id)
+
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+      {:ok, entry} = Undo.undo(todo_list, @client_id)
+
+      assert entry.new_data["change_type"] == "item_text_updated"
+      assert Lists.get_todo_item!(item.id).text == "Original"
+    end
+
+    test "a new change clears what can be redone", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Original"}, @client_id)
+      {:ok, item} = Lists.update_todo_item(item, %{text: "Changed"}, @client_id)
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+
+      {:ok, _item} = Lists.update_todo_item(item, %{status: :done}, @client_id)
+
+      assert {:error, :nothing_to_redo} = Undo.redo(todo_list, @client_id)
+    end
+
+    test "undo and redo are recorded in the list history", %{todo_list: todo_list} do
+      {:ok, item} = Lists.create_todo_item(todo_list, %{text: "Original"}, @client_id)
+      {:ok, _item} = Lists.update_todo_item(item, %{text: "Changed"}, @client_id)
+      {:ok, _} = Undo.undo(todo_list, @client_id)
+      {:ok, _} = Undo.redo(todo_list, @client_id)
+
+      assert ["change_redone", "change_undone" | _] =
+               todo_list.id |> History.get_list_history() |> Enum.map(& &1.change_type)
+    end
+  end
+end
@@ -0,0 +1,25 @@
+defmodule TodoLister.WordDiffTest do
+  use ExUnit.Case, async: true
+
+  alias TodoLister.WordDiff
+
+  test "marks inserted and deleted words" do
+    assert WordDiff.diff("Buy milk", "Buy oat milk") == [eq: "Buy ", ins: "oat ", eq: "milk"]
+    assert WordDiff.diff("Call Bob", "Call Alice") == [eq: "Call ", del: "Bob", ins: "Alice"]
+  end
+
+  test "joins back into both texts" do
+    old_text = "  Plan the team offsite, book venue"
+    new_text = "Plan the offsite and book the venue "
+    segments = WordDiff.diff(old_text, new_text)
+
+    assert for({op, text} <- segments, op != :ins, into: "", do: text) == old_text
+    assert for({op, text} <- segments, op != :del, into: "", do: text) == new_text
+  end
+
+  test "handles empty texts" do
+    assert WordDiff.diff("", "New") == [ins: "New"]
+    assert WordDiff.diff("Old", "") == [del: "Old"]
+    assert WordDiff.diff("", "") == []
+  end
+end
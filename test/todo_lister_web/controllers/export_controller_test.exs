@@ -0,0 +1,44 @@
+defmodule TodoListerWeb.ExportControllerTest do
+  use TodoListerWeb.ConnCase
+
+  alias TodoLister.Lists
+
+  setup do
+    {:ok, todo_list} = Lists.create_todo_list(%{title: "Groceries"})
+    {:ok, _item} = Lists.create_todo_item(todo_list, %{text: "Milk"})
+    %{todo_list: todo_list}
+  end
+
+  test "serves the export as a download", %{conn: conn, todo_list: todo_list} do
+    conn = get(conn, ~p"/tl/#{todo_list.id}/export/md")
+
+    assert response(conn, 200) == "# Groceries\n\n- [ ] Milk\n"
+    assert [content_type] = get_resp_header(conn, "content-type")
+    assert content_type =~ "text/markdown"
+
+    assert get_resp_header(conn, "content-disposition") == [
+             ~s(attachment; filename="groceries.md")
+           ]
+  end
+
+  test "serves JSON regardless of the Accept header", %{conn: conn, todo_list: todo_list} do
+    conn =
+      conn
+      |> put_req_header("accept", "application/json")
+      |> get(~p"/tl/#{todo_list.id}/export/json")
+
+    assert %{"title" => "Groceries", "items" => [%{"text" => "Milk"}]} = json_response(conn, 200)
+  end
+
+  test "returns 400 for an unknown format", %{conn: conn, todo_list: todo_list} do
+    conn = get(conn, ~p"/tl/#{todo_list.id}/export/pdf")
+    assert text_response(conn, 400) =~ "md"
+  end
+
+  test "returns 404 for unknown or deleted lists", %{conn: conn, todo_list: todo_list} do
+    {:ok, _deleted} = Lists.delete_todo_list(todo_list)
+
+    assert conn |> get(~p"/tl/#{todo_list.id}/export/md") |> text_response(404)
+    assert conn |> get(~p"/tl/not-a-list/export/md") |> text_response(404)
+  end
+end
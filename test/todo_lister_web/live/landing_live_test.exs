@@ -3,9 +3,115 @@ defmodule TodoListerWeb.LandingLiveTest do
 
   import Phoenix.LiveViewTest
 
+  alias TodoLister.Lists
+
   test "disconnected and connected render", %{conn: conn} do
     {:ok, page_live, disconnected_html} = live(conn, ~p"/")
     assert disconnected_html =~ "TodoLister"
     assert render(page_live) =~ "TodoLister"
   end
+
+  describe "client lists" do
+    test "shows the lists the client created and changed", %{conn: conn} do
+      {:ok, created} = Lists.create_todo_list(%{title: "My own list"}, "landing-client")
+      {:ok, _item} = Lists.create_todo_item(created, %{text: "Open task"})
+      {:ok, changed} = Lists.create_todo_list(%{title: "Shared list"}, "other-client")
+      {:ok, _changed} = Lists.update_todo_list(changed, %{title: "Team list"}, "landing-client")
+
+      conn = put_connect_params(conn, %{"client_id" => "landing-client"})
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      assert view |> element("#created-lists-#{created.id}") |> render() =~ "1 open"
+      assert has_element?(view, "#created-lists-#{created.id}", "just now")
+      assert has_element?(view, "#recent-lists-#{changed.id}", "Team list")
+      refute has_element?(view, "#created-lists-#{changed.id}")
+    end
+
+    test "shows lists this browser only viewed", %{conn: conn} do
+      {:ok, viewed} = Lists.create_todo_list(%{title: "Viewed list"}, "other-client")
+
+      conn =
+        put_connect_params(conn, %{
+          "client_id" => "landing-client",
+          "visited_lists" => [viewed.id, "not-an-id"]
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      assert has_element?(view, "#recent-lists-#{viewed.id} a[href='/tl/#{viewed.id}']")
+      refute has_element?(view, "#created-lists")
+    end
+
+    test "hides the sections without any lists", %{conn: conn} do
+      conn = put_connect_params(conn, %{"client_id" => "new-client"})
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      refute has_element?(view, "#client-lists")
+    end
+  end
+
+  describe "import" do
+    test "renders the ListImport hook", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      assert has_element?(view, "#list-import[phx-hook='ListImport'][phx-update='ignore']")
+      assert has_element?(view, "#list-import input[type='file'][data-import-file]")
+    end
+
+    test "creates the list from the parsed items and opens it", %{conn: conn} do
+      conn = put_connect_params(conn, %{"client_id" => "importer"})
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "import_list", %{
+        "title" => "  Backlog  ",
+        "items" => [
+          %{"text" => "Write the spec", "status" => "done"},
+          %{"text" => "Ship it", "status" => "todo"},
+          %{"text" => "", "status" => "todo"}
+        ]
+      })
+
+      [todo_list] = Lists.list_client_todo_lists("importer", created: true)
+      assert todo_list.title == "Backlog"
+      assert_redirect(view, ~p"/tl/#{todo_list.id}")
+
+      assert [{"Write the spec", :done}, {"Ship it", :todo}] =
+               todo_list |> Lists.list_todo_items() |> Enum.map(&{&1.text, &1.status})
+    end
+
+    test "replies with an error when the import fails", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "import_list", %{
+        "title" => "Broken",
+        "items" => [%{"text" => "Task", "status" => "unknown"}]
+      })
+
+      assert_reply(view, %{error: "Failed to import the list"})
+    end
+  end
+
+  test "links the web manifest and renders the offline banner", %{conn: conn} do
+    html = conn |> get(~p"/") |> html_response(200)
+
+    assert html =~ ~s(<link rel="manifest" href="/manifest.webmanifest")
+    assert html =~ ~s(id="offline-banner")
+  end
+
+  test "applies the saved theme before the page renders", %{conn: conn} do
+    html = conn |> get(~p"/") |> html_response(200)
+    {:ok, view, _html} = live(conn, ~p"/")
+
+    assert html =~ ~s(localStorage.getItem("phx:theme"))
+    assert html =~ ~s(e.key === "phx:theme")
+
+    for theme <- ["system", "light", "dark"] do
+      assert has_element?(view, "#theme-toggle button[data-phx-theme='#{theme}']")
+    end
+  end
+
+  test "serves the web manifest and service worker", %{conn: conn} do
+    assert conn |> get("/manifest.webmanifest") |> response(200) =~ "Todo Lister"
+    assert conn |> get("/sw.js") |> response(200) =~ "networkFirst"
+  end
 end
@@ -18,6 +18,12 @@ defmodule TodoListerWeb.TodoListLiveTest do
       assert html =~ "Last updated:"
     end
 
+    test "offers the theme toggle in the navbar", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "header #theme-toggle [data-phx-theme='dark']")
+    end
+
     test "returns 404 error when todo list doesn't exist", %{conn: conn} do
       non_existent_id = Ecto.UUID.generate()
 
@@ -68,10 +74,18 @@ defmodule TodoListerWeb.TodoListLiveTest do
       assert html =~ "Share this list"
     end
 
-    test "clicking share button shows success message", %{conn: conn, todo_list: todo_list} do
+    test "share button opens the share popover", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "#share-button[phx-hook='SharePopover']")
+      assert has_element?(view, "#share-panel.hidden[phx-update='ignore'] [data-share-qr]")
+      assert has_element?(view, "#share-panel [data-share-native]")
+    end
+
+    test "clicking copy link shows success message", %{conn: conn, todo_list: todo_list} do
       {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
 
-      html = view |> element("#share-button") |> render_click()
+      html = view |> element("#copy-share-link") |> render_click()
 
       assert html =~ "Link copied! Share this URL with others to collaborate."
     end
@@ -84,6 +98,60 @@ defmodule TodoListerWeb.TodoListLiveTest do
     end
   end
 
+  describe "Export menu" do
+    test "links to each export format", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      for format <- ["md", "csv", "json"] do
+        assert has_element?(
+                 view,
+                 "#export-menu a#export-#{format}[href='/tl/#{todo_list.id}/export/#{format}']"
+               )
+      end
+
+      assert has_element?(view, "#export-md[download='test-todo-list.md']", "Markdown checklist")
+    end
+  end
+
+  describe "Presentation mode" do
+    test "shows the list read-only", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Buy milk"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}/present")
+
+      assert has_element?(view, "#presentation h1", "Test Todo List")
+      assert has_element?(view, "#present-#{item.id}", "Buy milk")
+      assert has_element?(view, "#presentation-progress", "0 of 1 done")
+      refute has_element?(view, "[phx-click]")
+      refute has_element?(view, "[data-drag-handle]")
+      refute has_element?(view, "#command-palette")
+    end
+
+    test "updates when the list changes elsewhere", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Buy milk"})
+      {:ok, presenting, _html} = live(conn, ~p"/tl/#{todo_list.id}/present")
+      {:ok, editing, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_click(editing, "toggle_status", %{"id" => item.id})
+
+      assert has_element?(presenting, "#present-#{item.id}.line-through")
+      assert has_element?(presenting, "#presentation-progress", "1 of 1 done")
+    end
+
+    test "is linked from the list page", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "a#present-link[href='/tl/#{todo_list.id}/present']")
+    end
+
+    test "hides editing controls when printing", %{conn: conn, todo_list: todo_list} do
+      {:ok, _item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Buy milk"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "[data-drag-handle][class~='print:hidden']")
+      assert render(view) =~ ~s(class="flex items-center gap-3 print:hidden")
+    end
+  end
+
   describe "Title editing" do
     test "can click to edit title", %{conn: conn, todo_list: todo_list} do
       {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
@@ -240,7 +308,7 @@ defmodule TodoListerWeb.TodoListLiveTest do
       html1 = render(view1)
       assert html1 =~ "Different item"
       assert html1 =~ "Item being edited"
-      assert html1 =~ "List updated by another user"
+      assert_push_event(view1, "toast", %{message: "List updated by another user."})
       # Still in edit mode
       assert html1 =~ "input"
     end
@@ -268,12 +336,141 @@ defmodule TodoListerWeb.TodoListLiveTest do
 
       # Client 1 should show conflict warning and preserve their editing state
       html1 = render(view1)
-      assert html1 =~ "Your current edit is preserved"
+
+      assert_push_event(view1, "toast", %{
+        severity: :warning,
+        message:
+          "Another user changed this task while you were editing. " <>
+            "You can merge both versions when you save.",
+        actions: [%{event: "discard_edit_item"}]
+      })
+
       # Still in edit mode
       assert html1 =~ "input"
       # Preserves original version being edited
       assert html1 =~ "Original text"
     end
+
+    test "discarding an edit after a conflict shows the latest text", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Original text"})
+
+      {:ok, view1, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      {:ok, view2, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view1 |> element("div[phx-click='edit_item']") |> render_click()
+      render_hook(view2, "save_item", %{"id" => item.id, "text" => "Changed by client 2"})
+
+      html1 = render_hook(view1, "discard_edit_item", %{})
+
+      assert html1 =~ "Changed by client 2"
+      refute html1 =~ "Original text"
+    end
+  end
+
+  describe "Merging concurrent edits" do
+    setup %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Buy milk"})
+
+      {:ok, view1, _html} =
+        conn
+        |> put_connect_params(%{"client_id" => "merging-client"})
+        |> live(~p"/tl/#{todo_list.id}")
+
+      {:ok, view2, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_click(view1, "edit_item", %{"id" => item.id})
+      render_hook(view2, "save_item", %{"id" => item.id, "text" => "Buy oat milk"})
+
+      %{item: item, view: view1}
+    end
+
+    test "saving after a conflict opens the merge dialog", %{item: item, view: view} do
+      refute has_element?(view, "#merge-dialog")
+
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+
+      assert has_element?(view, "#merge-original", "Buy milk")
+      assert has_element?(view, "#merge-theirs span.bg-green-100", "oat")
+      assert has_element?(view, "#merge-mine span.bg-green-100", "and eggs")
+      assert has_element?(view, "#merge-combined-text[value='Buy milk and eggs']")
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "Buy oat milk"
+    end
+
+    test "keeping one version saves it and records the resolution", %{
+      item: item,
+      view: view,
+      todo_list: todo_list
+    } do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+      view |> element("#merge-mine button", "Keep mine") |> render_click()
+
+      refute has_element?(view, "#merge-dialog")
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "Buy milk and eggs"
+
+      [entry | _] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.change_type == "item_conflict_resolved"
+      assert entry.new_data["resolution"] == "mine"
+      assert render(view) =~ "Edit conflict resolved, kept own version"
+    end
+
+    test "combining both versions saves the combined text", %{item: item, view: view} do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+
+      view
+      |> form("#merge-combined", %{text: "Buy oat milk and eggs"})
+      |> render_submit()
+
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "Buy oat milk and eggs"
+    end
+
+    test "saving an unchanged draft takes the other version", %{item: item, view: view} do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk"})
+
+      refute has_element?(view, "#merge-dialog")
+      refute has_element?(view, "#edit-item-#{item.id}")
+      assert render(view) =~ "Buy oat milk"
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "Buy oat milk"
+    end
+
+    test "saving the other version ends the edit", %{item: item, view: view} do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy oat milk"})
+
+      refute has_element?(view, "#merge-dialog")
+      refute has_element?(view, "#edit-item-#{item.id}")
+    end
+
+    test "a blank combined text falls back to the placeholder", %{item: item, view: view} do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+      view |> form("#merge-combined", %{text: "  "}) |> render_submit()
+
+      refute has_element?(view, "#merge-dialog")
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "New task"
+    end
+
+    test "an unknown resolution is ignored", %{item: item, view: view} do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+      render_click(view, "resolve_conflict", %{"resolution" => "both"})
+
+      assert has_element?(view, "#merge-dialog")
+      assert TodoLister.Lists.get_todo_item!(item.id).text == "Buy oat milk"
+    end
+
+    test "going back to editing keeps the conflict for the next save", %{
+      item: item,
+      view: view
+    } do
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk and eggs"})
+      view |> element("#merge-dialog button", "Back to editing") |> render_click()
+
+      refute has_element?(view, "#merge-dialog")
+      assert has_element?(view, "#edit-item-#{item.id}")
+
+      render_hook(view, "save_item", %{"id" => item.id, "text" => "Buy milk, eggs"})
+      assert has_element?(view, "#merge-combined-text[value='Buy milk, eggs']")
+    end
   end
 
   describe "Todo items functionality" do
@@ -353,6 +550,38 @@ defmodule TodoListerWeb.TodoListLiveTest do
     end
   end
 
+  describe "Translations" do
+    test "marks the untouched new item for the client", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      [item] = TodoLister.Lists.get_todo_list_with_items!(todo_list.id).todo_items
+
+      assert has_element?(view, "#edit-item-#{item.id}[data-placeholder-item]")
+
+      {:ok, _item} = TodoLister.Lists.update_todo_item(item, %{text: "Buy milk"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      render_click(view, "edit_item", %{"id" => item.id})
+
+      refute has_element?(view, "#edit-item-#{item.id}[data-placeholder-item]")
+    end
+
+    test "shows the placeholder text in the session's language", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "New task"})
+
+      {:ok, view, _html} =
+        conn
+        |> Plug.Test.init_test_session(%{"locale" => "de"})
+        |> live(~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "[data-item-id='#{item.id}'][data-item-text='Neue Aufgabe']")
+      assert has_element?(view, "#locale-picker a[href='?locale=en']", "English")
+    end
+  end
+
   describe "Todo list soft delete" do
     test "delete_todo_list soft deletes list from queries but keeps it in database", %{
       todo_list: todo_list
@@ -385,6 +614,470 @@ defmodule TodoListerWeb.TodoListLiveTest do
     end
   end
 
+  describe "Offline replay" do
+    test "renders the offline queue badge for the list", %{conn: conn, todo_list: todo_list} do
+      {:ok, _view, html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert html =~ "phx-hook=\"OfflineQueue\""
+      assert html =~ "data-list-id=\"#{todo_list.id}\""
+    end
+
+    test "a replayed add_item creates the item without entering edit mode", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      html =
+        render_hook(view, "replay_offline", %{
+          "event" => "add_item",
+          "payload" => %{"text" => "Written on the train"},
+          "client_id" => "offline-1"
+        })
+
+      assert html =~ "Written on the train"
+      refute html =~ "edit-item-"
+
+      [entry] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.change_type == "item_created"
+      assert entry.client_id == "offline-1"
+      assert entry.new_data["text"] == "Written on the train"
+    end
+
+    test "replayed toggle_status and save_item are attributed to the queuing client", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Original"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "replay_offline", %{
+        "event" => "toggle_status",
+        "payload" => %{"id" => item.id, "status" => "done"},
+        "client_id" => "offline-2"
+      })
+
+      render_hook(view, "replay_offline", %{
+        "event" => "save_item",
+        "payload" => %{"id" => item.id, "text" => "Edited offline"},
+        "client_id" => "offline-2"
+      })
+
+      updated = TodoLister.Lists.get_todo_item!(item.id)
+      assert updated.status == :done
+      assert updated.text == "Edited offline"
+
+      history = TodoLister.History.get_list_history(todo_list.id)
+      assert length(history) == 2
+      assert Enum.all?(history, &(&1.client_id == "offline-2"))
+    end
+
+    test "a replayed toggle sets the status it was queued with", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Shared"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      # A collaborator finished the item while this client was offline
+      {:ok, _item} = TodoLister.Lists.update_todo_item(item, %{status: :done})
+
+      render_hook(view, "replay_offline", %{
+        "event" => "toggle_status",
+        "payload" => %{"id" => item.id, "status" => "done"}
+      })
+
+      assert TodoLister.Lists.get_todo_item!(item.id).status == :done
+    end
+
+    test "events outside the replay keep the connected client_id", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Original"})
+
+      {:ok, view, _html} =
+        conn
+        |> put_connect_params(%{"client_id" => "connected-client"})
+        |> live(~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "toggle_status", %{"id" => item.id, "client_id" => "someone-else"})
+
+      [entry] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.client_id == "connected-client"
+    end
+
+    test "replaying an event for a deleted item shows an error", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      html = render_hook(view, "toggle_status", %{"id" => Ecto.UUID.generate()})
+      assert html =~ "Item no longer exists"
+
+      html = render_hook(view, "save_item", %{"id" => Ecto.UUID.generate(), "text" => "Gone"})
+      assert html =~ "Item no longer exists"
+    end
+  end
+
+  describe "Keyboard reordering" do
+    test "drag handles are focusable and described for screen readers", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, _item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Keyboard item"})
+      {:ok, _view, html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert html =~ "tabindex=\"0\""
+      assert html =~ "aria-describedby=\"reorder-instructions\""
+      assert html =~ "id=\"reorder-announcer\""
+      assert html =~ "data-item-text=\"Keyboard item\""
+    end
+
+    test "reorder_item moves an item after its reference", %{conn: conn, todo_list: todo_list} do
+      {:ok, first} = TodoLister.Lists.create_todo_item(todo_list, %{text: "First"})
+      {:ok, second} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Second"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "reorder_item", %{
+        "item_id" => first.id,
+        "reference_id" => second.id,
+        "position" => "after"
+      })
+
+      assert [%{text: "Second"}, %{text: "First"}] = TodoLister.Lists.list_todo_items(todo_list)
+    end
+  end
+
+  describe "Block reordering" do
+    setup %{todo_list: todo_list} do
+      items =
+        for text <- ["One", "Two", "Three", "Four"] do
+          {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: text})
+          item
+        end
+
+      %{items: items}
+    end
+
+    test "reorder_items moves the selected items as one block", %{
+      conn: conn,
+      todo_list: todo_list,
+      items: [one, two, three, four]
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "reorder_items", %{
+        "item_ids" => [one.id, three.id],
+        "reference_id" => four.id,
+        "position" => "after"
+      })
+
+      assert Enum.map(TodoLister.Lists.list_todo_items(todo_list), & &1.id) ==
+               [two.id, four.id, one.id, three.id]
+    end
+
+    test "reorder_items records a single history entry", %{
+      conn: conn,
+      todo_list: todo_list,
+      items: [one, _two, three, four]
+    } do
+      conn = put_connect_params(conn, %{"client_id" => "block-mover"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "reorder_items", %{
+        "item_ids" => [three.id, four.id],
+        "reference_id" => one.id,
+        "position" => "before"
+      })
+
+      [entry] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.change_type == "items_reordered"
+      assert entry.client_id == "block-mover"
+      assert length(entry.new_data["reorder_data"]) == 4
+    end
+
+    test "reorder_items rejects a reference inside the selection", %{
+      conn: conn,
+      todo_list: todo_list,
+      items: [one, two, _three, _four]
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      html =
+        render_hook(view, "reorder_items", %{
+          "item_ids" => [one.id, two.id],
+          "reference_id" => one.id,
+          "position" => "before"
+        })
+
+      assert html =~ "Could not find items to reorder"
+      assert Enum.map(TodoLister.Lists.list_todo_items(todo_list), & &1.text) ==
+               ["One", "Two", "Three", "Four"]
+    end
+  end
+
+  describe "Moving items between lists" do
+    test "offers the client's other lists as drop targets", %{conn: conn, todo_list: todo_list} do
+      {:ok, _other} = TodoLister.Lists.create_todo_list(%{title: "Groceries"}, "mover")
+      conn = put_connect_params(conn, %{"client_id" => "mover"})
+
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      html = render(view)
+
+      assert html =~ "Groceries"
+
+      # DragDrop shows the panel, patches during a drag must not hide it again
+      assert has_element?(view, "#list-drop-targets[phx-update='ignore']")
+    end
+
+    test "move_items moves items and notifies viewers of the target list", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      other = todo_list_fixture(%{title: "Other list"})
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Travelling task"})
+
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      {:ok, other_view, _html} = live(conn, ~p"/tl/#{other.id}")
+
+      html =
+        render_hook(view, "move_items", %{"item_ids" => [item.id], "todo_list_id" => other.id})
+
+      assert html =~ "Moved 1 task to &quot;Other list&quot;"
+      refute html =~ "data-item-text=\"Travelling task\""
+      assert render(other_view) =~ "Travelling task"
+    end
+
+    test "move_items rejects an unknown target list", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Staying put"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      html =
+        render_hook(view, "move_items", %{"item_ids" => [item.id], "todo_list_id" => "nope"})
+
+      assert html =~ "Could not move items"
+      assert html =~ "Staying put"
+    end
+  end
+
+  describe "Pasting tasks" do
+    test "fills the new task and adds the other pasted lines", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      conn = put_connect_params(conn, %{"client_id" => "paste-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      [placeholder] = TodoLister.Lists.list_todo_items(todo_list)
+      assert has_element?(view, "#edit-item-#{placeholder.id}[data-paste-items]")
+
+      html =
+        render_hook(view, "paste_items", %{
+          "id" => placeholder.id,
+          "items" => [
+            %{"text" => "Send the notes", "status" => "todo"},
+            %{"text" => "Book the room", "status" => "done"},
+            %{"text" => "  ", "status" => "todo"}
+          ]
+        })
+
+      assert html =~ "Added 2 tasks"
+
+      assert [{"Send the notes", :todo}, {"Book the room", :done}] =
+               todo_list |> TodoLister.Lists.list_todo_items() |> Enum.map(&{&1.text, &1.status})
+
+      [entry] = TodoLister.History.get_list_history(todo_list.id)
+      assert entry.change_type == "items_created"
+    end
+  end
+
+  describe "Undo and redo" do
+    setup %{conn: conn} do
+      %{conn: put_connect_params(conn, %{"client_id" => "undo-client"})}
+    end
+
+    test "undo reverts the client's latest change", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Original"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "toggle_status", %{"id" => item.id})
+      html = render_hook(view, "undo", %{})
+
+      assert html =~ "Undid: Task status changed from Todo to Done"
+      assert TodoLister.Lists.get_todo_item!(item.id).status == :todo
+
+      # The flash offers to redo what was just undone
+      view |> element("button[phx-click='redo']") |> render_click()
+      assert TodoLister.Lists.get_todo_item!(item.id).status == :done
+    end
+
+    test "the title update flash offers an undo", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "save_title", %{"title" => "Renamed list"})
+      html = view |> element("button[phx-click='undo']") |> render_click()
+
+      assert html =~ todo_list.title
+      assert TodoLister.Lists.get_todo_list!(todo_list.id).title == todo_list.title
+    end
+
+    test "shows an error when there is nothing to undo", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert render_hook(view, "undo", %{}) =~ "Nothing to undo"
+      assert render_hook(view, "redo", %{}) =~ "Nothing to redo"
+    end
+  end
+
+  describe "Keyboard shortcuts" do
+    test "renders the Shortcuts hook with its help overlay", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(view, "#keyboard-shortcuts[phx-hook='Shortcuts'][phx-update='ignore']")
+      assert has_element?(view, "#keyboard-shortcuts [data-shortcuts-overlay].hidden")
+      assert view |> element("#keyboard-shortcuts dl") |> render() =~ "Start a focus timer"
+    end
+
+    test "renders the CommandPalette hook", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(
+               view,
+               "#command-palette[phx-hook='CommandPalette'][phx-update='ignore']"
+             )
+      assert has_element?(view, "#command-palette [data-palette-overlay].hidden")
+      assert has_element?(view, "#command-palette input[data-palette-input][role='combobox']")
+    end
+
+    test "the palette's item commands use existing events", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Palette task"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "start_focus_timer", %{"id" => item.id})
+      assert has_element?(view, "form[phx-submit='set_focus_timer']")
+
+      render_hook(view, "edit_title", %{})
+      assert has_element?(view, "#title-input")
+    end
+
+    test "item rows expose the ids the shortcuts act on", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Keyboard task"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert has_element?(
+               view,
+               "#todo-items-container [data-draggable][data-item-id='#{item.id}']"
+             )
+    end
+  end
+
+  describe "Presence" do
+    test "shows everyone viewing the list", %{conn: conn, todo_list: todo_list} do
+      alice_conn =
+        put_connect_params(conn, %{
+          "client_id" => "alice-client",
+          "display_name" => "Alice Smith"
+        })
+
+      bob_conn = put_connect_params(conn, %{"client_id" => "bob-client"})
+
+      {:ok, _alice_view, _html} = live(alice_conn, ~p"/tl/#{todo_list.id}")
+      {:ok, bob_view, _html} = live(bob_conn, ~p"/tl/#{todo_list.id}")
+
+      assert bob_view |> element("#viewer-alice-client") |> render() =~ "AS"
+      assert has_element?(bob_view, "#viewer-alice-client[title='Alice Smith']")
+      assert has_element?(bob_view, "#viewer-bob-client[title='Guest bob- (you)']")
+    end
+
+    test "changing the display name updates presence", %{conn: conn, todo_list: todo_list} do
+      conn = put_connect_params(conn, %{"client_id" => "alice-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "set_display_name", %{"name" => "  Alice  "})
+      assert_reply(view, %{name: "Alice"})
+
+      assert [%{client_id: "alice-client", name: "Alice"}] =
+               TodoListerWeb.Presence.list_viewers(todo_list.id)
+    end
+
+    test "a rename in an older tab is shown over a newer tab's name", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      conn = put_connect_params(conn, %{"client_id" => "alice-client"})
+      {:ok, older_tab, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      {:ok, _newer_tab, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(older_tab, "set_display_name", %{"name" => "Alice"})
+      assert_reply(older_tab, %{name: "Alice"})
+
+      assert [%{client_id: "alice-client", name: "Alice"}] =
+               TodoListerWeb.Presence.list_viewers(todo_list.id)
+    end
+
+    test "a blank display name falls back to a guest name", %{conn: conn, todo_list: todo_list} do
+      conn = put_connect_params(conn, %{"client_id" => "alice-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      render_hook(view, "set_display_name", %{"name" => " "})
+      assert_reply(view, %{name: "Guest alic"})
+    end
+
+    test "shows which item another viewer is editing", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Shared task"})
+
+      alice_conn =
+        put_connect_params(conn, %{"client_id" => "alice-client", "display_name" => "Alice"})
+
+      bob_conn = put_connect_params(conn, %{"client_id" => "bob-client"})
+      item_id = item.id
+
+      # Presence diffs reach the other view asynchronously, on the list's topic
+      Phoenix.PubSub.subscribe(TodoLister.PubSub, "todo_list:#{todo_list.id}")
+
+      {:ok, alice_view, _html} = live(alice_conn, ~p"/tl/#{todo_list.id}")
+      {:ok, bob_view, _html} = live(bob_conn, ~p"/tl/#{todo_list.id}")
+
+      alice_view
+      |> element("[phx-click='edit_item'][phx-value-id='#{item.id}']")
+      |> render_click()
+
+      assert_receive %Phoenix.Socket.Broadcast{
+        event: "presence_diff",
+        payload: %{joins: %{"alice-client" => %{metas: [%{editing_item_id: ^item_id}]}}}
+      }
+
+      assert bob_view |> element("[data-editor='alice-client']") |> render() =~ "Alice is editing"
+      refute has_element?(alice_view, "[data-editor]")
+
+      # Entering the item warns through the FocusInput hook
+      bob_view |> element("[phx-click='edit_item'][phx-value-id='#{item.id}']") |> render_click()
+      assert has_element?(bob_view, "#edit-item-#{item.id}[data-editors='Alice']")
+
+      alice_view |> element("#edit-item-#{item.id}") |> render_blur(%{"value" => "Shared task"})
+
+      assert_receive %Phoenix.Socket.Broadcast{
+        event: "presence_diff",
+        payload: %{leaves: %{"alice-client" => %{metas: [%{editing_item_id: ^item_id}]}}}
+      }
+
+      refute has_element?(bob_view, "[data-editor='alice-client']")
+    end
+
+    test "viewers without a client id are not tracked", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      assert TodoListerWeb.Presence.list_viewers(todo_list.id) == []
+      refute has_element?(view, "#presence-bar")
+    end
+  end
+
   describe "Focus Timer" do
     test "displays focus timer button on todo items", %{conn: conn, todo_list: todo_list} do
       {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
@@ -470,6 +1163,23 @@ defmodule TodoListerWeb.TodoListLiveTest do
       assert html =~ "Set Focus Timer"
     end
 
+    test "rejects empty or non-numeric timer input", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      for {minutes, seconds} <- [{"", "30"}, {"five", "0"}, {"5", "60"}] do
+        html =
+          view
+          |> element("form[phx-submit='set_focus_timer']")
+          |> render_submit(%{minutes: minutes, seconds: seconds})
+
+        assert html =~ "Please enter a valid time"
+        refute html =~ "id=\"focus-mode\""
+      end
+    end
+
     test "can stop active focus timer", %{conn: conn, todo_list: todo_list} do
       {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
 
@@ -580,5 +1290,305 @@ defmodule TodoListerWeb.TodoListLiveTest do
       assert html =~ "id=\"focus-mode\""
       assert html =~ "Stop Focus"
     end
+
+    test "can pause and resume the focus timer", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "1", seconds: "0"})
+
+      html = view |> element("button[phx-click='pause_focus_timer']") |> render_click()
+      assert html =~ "Paused"
+      assert html =~ "data-paused=\"true\""
+      assert html =~ "Resume"
+
+      html = view |> element("button[phx-click='resume_focus_timer']") |> render_click()
+      refute html =~ "data-paused=\"true\""
+      assert html =~ "phx-click=\"pause_focus_timer\""
+      assert html =~ "id=\"focus-mode\""
+    end
+
+    test "a paused timer does not complete", %{conn: conn, todo_list: todo_list} do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "0", seconds: "1"})
+
+      view |> element("button[phx-click='pause_focus_timer']") |> render_click()
+      Process.sleep(1200)
+
+      assert render(view) =~ "id=\"focus-mode\""
+    end
+
+    test "focus timer survives a reload for the same client", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, _item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Reload safe"})
+      conn = put_connect_params(conn, %{"client_id" => "focus-client"})
+
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "5", seconds: "0"})
+
+      view |> element("button[phx-click='pause_focus_timer']") |> render_click()
+
+      # Simulate a reload by mounting a fresh LiveView for the same client
+      {:ok, reloaded, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      html = render(reloaded)
+
+      assert html =~ "id=\"focus-mode\""
+      assert html =~ "Paused"
+      assert %{status: :paused} = TodoLister.Focus.get_focus_timer(todo_list.id, "focus-client")
+
+      reloaded |> element("button[phx-click='stop_focus_timer']") |> render_click()
+      assert TodoLister.Focus.get_focus_timer(todo_list.id, "focus-client") == nil
+    end
+
+    test "sync_focus_timer replies with the server's timer state", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "2", seconds: "0"})
+
+      render_hook(view, "sync_focus_timer", %{})
+      assert_reply(view, %{paused: false, end_time: end_time, server_now: server_now})
+      assert end_time - server_now in 119..120
+    end
+
+    test "Pomodoro advances from work to break and back", %{conn: conn, todo_list: todo_list} do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Write report"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      html =
+        view
+        |> element("form[phx-submit='set_pomodoro_timer']")
+        |> render_submit(%{
+          work_minutes: "25",
+          short_break_minutes: "5",
+          long_break_minutes: "15",
+          long_break_every: "4"
+        })
+
+      assert html =~ "id=\"pomodoro-status\""
+      assert html =~ "Cycle 1 of 4"
+
+      # Finish the work phase without waiting 25 minutes
+      send(view.pid, {:focus_timer_complete, item.id})
+
+      assert_push_event(view, "break-started", %{phase: :short_break, completed_cycles: 1})
+      html = render(view)
+      assert html =~ "Short break"
+      assert html =~ "1 completed"
+      assert html =~ "id=\"pomodoros-#{item.id}\""
+      assert TodoLister.Lists.get_todo_item!(item.id).pomodoros_completed == 1
+
+      send(view.pid, {:focus_timer_complete, item.id})
+
+      assert_push_event(view, "break-over", %{phase: :work, completed_cycles: 1})
+      assert render(view) =~ "Cycle 2 of 4"
+    end
+
+    test "Pomodoro takes a long break after the configured cycles", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Deep work"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_pomodoro_timer']")
+      |> render_submit(%{
+        work_minutes: "25",
+        short_break_minutes: "5",
+        long_break_minutes: "15",
+        long_break_every: "1"
+      })
+
+      send(view.pid, {:focus_timer_complete, item.id})
+
+      assert_push_event(view, "break-started", %{phase: :long_break, seconds: 900})
+      assert render(view) =~ "Long break"
+    end
+
+    test "focus mode offers alert preferences kept by the client", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='add_item']") |> render_click()
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "5", seconds: "0"})
+
+      assert has_element?(view, "#focus-preferences[phx-hook='FocusPreferences']")
+      assert has_element?(view, "#focus-preferences input[data-preference='notifications']")
+      assert has_element?(view, "#focus-preferences input[data-preference='sound']")
+      assert has_element?(view, "#focus-preferences input[data-preference='titleCountdown']")
+    end
+
+    test "a completed focus session shows in history and on the item row", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Write report"})
+      conn = put_connect_params(conn, %{"client_id" => "focus-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "25", seconds: "0"})
+
+      send(view.pid, {:focus_timer_complete, item.id})
+      assert_push_event(view, "focus-complete", _payload)
+
+      html = render(view)
+      assert html =~ "Focused 25m on &quot;Write report&quot;"
+      assert view |> element("#focus-total-#{item.id}") |> render() =~ "25m"
+    end
+
+    test "a focus session open in two tabs is recorded once", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Write report"})
+      conn = put_connect_params(conn, %{"client_id" => "focus-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "25", seconds: "0"})
+
+      {:ok, other_tab, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+      {:ok, presenting, _html} = live(conn, ~p"/tl/#{todo_list.id}/present")
+      assert has_element?(other_tab, "#focus-mode")
+
+      send(view.pid, {:focus_timer_complete, item.id})
+      assert_push_event(view, "focus-complete", _payload)
+
+      send(other_tab.pid, {:focus_timer_complete, item.id})
+      send(presenting.pid, {:focus_timer_complete, item.id})
+      refute has_element?(other_tab, "#focus-mode")
+      render(presenting)
+
+      assert TodoLister.Focus.focused_seconds_by_item(todo_list.id) == %{item.id => 1500}
+    end
+
+    test "focus mode ends when its item is deleted elsewhere", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Write report"})
+      conn = put_connect_params(conn, %{"client_id" => "focus-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "25", seconds: "0"})
+
+      {:ok, _item} = TodoLister.Lists.delete_todo_item(item, "other-client")
+      send(view.pid, {:updated, self()})
+
+      refute has_element?(view, "#focus-mode")
+      assert TodoLister.Focus.get_focus_timer(todo_list.id, "focus-client") == nil
+    end
+
+    test "stopping focus early records the time focused so far", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Write report"})
+      conn = put_connect_params(conn, %{"client_id" => "focus-client"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      view
+      |> element("form[phx-submit='set_focus_timer']")
+      |> render_submit(%{minutes: "0", seconds: "30"})
+
+      Process.sleep(1100)
+      view |> element("button[phx-click='stop_focus_timer']") |> render_click()
+
+      assert %{} = totals = TodoLister.Focus.focused_seconds_by_item(todo_list.id)
+      assert totals[item.id] in 1..2
+      assert render(view) =~ "stopped early"
+    end
+
+    test "rejects invalid Pomodoro settings", %{conn: conn, todo_list: todo_list} do
+      {:ok, _item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Deep work"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      html =
+        view
+        |> element("form[phx-submit='set_pomodoro_timer']")
+        |> render_submit(%{
+          work_minutes: "0",
+          short_break_minutes: "5",
+          long_break_minutes: "15",
+          long_break_every: "4"
+        })
+
+      assert html =~ "Please enter valid Pomodoro settings"
+      refute html =~ "id=\"focus-mode\""
+    end
+
+    test "rejects Pomodoro settings beyond the form's limits", %{
+      conn: conn,
+      todo_list: todo_list
+    } do
+      {:ok, item} = TodoLister.Lists.create_todo_item(todo_list, %{text: "Deep work"})
+      {:ok, view, _html} = live(conn, ~p"/tl/#{todo_list.id}")
+
+      view |> element("button[phx-click='start_focus_timer']") |> render_click()
+
+      settings = %{
+        "item_id" => item.id,
+        "work_minutes" => "25",
+        "short_break_minutes" => "5",
+        "long_break_minutes" => "15",
+        "long_break_every" => "4"
+      }
+
+      for {field, value} <- [{"work_minutes", "100000"}, {"long_break_every", "13"}] do
+        html = render_submit(view, "set_pomodoro_timer", Map.put(settings, field, value))
+
+        assert html =~ "Please enter valid Pomodoro settings"
+        refute html =~ "id=\"focus-mode\""
+      end
+    end
   end
 end
@@ -0,0 +1,59 @@
+defmodule TodoListerWeb.LocaleTest do
+  use TodoListerWeb.ConnCase
+
+  alias TodoListerWeb.Locale
+
+  test "defaults to English", %{conn: conn} do
+    conn = get(conn, ~p"/")
+
+    assert get_session(conn, "locale") == "en"
+    assert html_response(conn, 200) =~ ~s(<html lang="en">)
+  end
+
+  test "the locale parameter switches the language and is kept", %{conn: conn} do
+    conn = get(conn, ~p"/?locale=de")
+
+    assert get_session(conn, "locale") == "de"
+    assert html_response(conn, 200) =~ ~s(<html lang="de">)
+
+    conn = conn |> recycle() |> get(~p"/")
+    assert html_response(conn, 200) =~ ~s(<html lang="de">)
+  end
+
+  test "falls back to the browser's language", %{conn: conn} do
+    conn =
+      conn
+      |> put_req_header("accept-language", "fr-FR,de-AT;q=0.8,en;q=0.5")
+      |> get(~p"/")
+
+    assert get_session(conn, "locale") == "de"
+  end
+
+  test "ignores unsupported locales", %{conn: conn} do
+    conn = get(conn, ~p"/?locale=xx")
+
+    assert get_session(conn, "locale") == "en"
+  end
+
+  test "embeds the client strings of the locale", %{conn: conn} do
+    html = conn |> get(~p"/?locale=de") |> html_response(200)
+
+    assert html =~ ~s(<script id="client-messages" type="application/json">)
+    assert html =~ ~s("New task":"Neue Aufgabe")
+  end
+
+  describe "client_messages/0" do
+    test "keeps placeholders for app.js to fill in" do
+      messages = Gettext.with_locale(TodoListerWeb.Gettext, "de", &Locale.client_messages/0)
+
+      assert messages["%{count} tasks"] == "%{count} Aufgaben"
+      assert messages["Moved to %{position}."] == "Verschoben auf %{position}."
+    end
+
+    test "uses the English msgids without translations" do
+      messages = Gettext.with_locale(TodoListerWeb.Gettext, "en", &Locale.client_messages/0)
+
+      assert messages["Focus time complete!"] == "Focus time complete!"
+    end
+  end
+end